@@ -0,0 +1,199 @@
+const {
+    rarityTiers,
+    getItemRarity,
+    parseClockTime,
+    isWithinTimeWindow,
+    toItemId
+} = require('./utils');
+
+const MAX_RULE_LENGTH = 300;
+const FIELDS = ['item', 'category', 'rarity', 'quantity', 'weather', 'time'];
+const FIELD_ALIASES = { qty: 'quantity' };
+
+// Conditions about the item itself; every branch of a rule needs one so it can't match everything
+const ITEM_FIELDS = ['item', 'category', 'rarity'];
+
+// Parse and check one "field<op>value" condition
+const parseCondition = (token, resolveCategory) => {
+    const match = /^([a-z]+)(>=|<=|=|>|<|:)(.+)$/.exec(token);
+    if (!match) {
+        throw new Error(`"${token}" isn't a condition. Write conditions like item=kiwi or quantity>=5`);
+    }
+
+    const field = FIELD_ALIASES[match[1]] || match[1];
+    const operator = match[2] === ':' ? '=' : match[2];
+    const raw = match[3];
+
+    if (!FIELDS.includes(field)) {
+        throw new Error(`Unknown field "${match[1]}". Use ${FIELDS.join(', ')}`);
+    }
+    if (field !== 'quantity' && operator !== '=') {
+        throw new Error(`${field} only supports =, e.g. ${field}=...`);
+    }
+
+    let value;
+    switch (field) {
+        case 'item':
+            value = toItemId(raw);
+            break;
+        case 'category':
+            value = resolveCategory(raw);
+            if (!value) throw new Error(`Unknown category "${raw}". Use seed, gear, egg, eventshop or cosmetic`);
+            break;
+        case 'rarity':
+            value = raw;
+            if (!rarityTiers[value]) throw new Error(`Unknown rarity "${raw}". Use one of: ${Object.keys(rarityTiers).join(', ')}`);
+            break;
+        case 'quantity':
+            value = /^\d+$/.test(raw) ? parseInt(raw, 10) : null;
+            if (value === null) throw new Error(`Quantity needs a whole number, e.g. quantity>=5`);
+            break;
+        case 'weather':
+            // "*" is any weather event, "none" is clear skies
+            value = raw === '*' || raw === 'any' ? '*' : raw === 'none' || raw === 'clear' ? 'none' : toItemId(raw);
+            break;
+        case 'time': {
+            const [start, end] = raw.split('-');
+            const startMinutes = parseClockTime(start);
+            const endMinutes = parseClockTime(end);
+            if (startMinutes === null || endMinutes === null || startMinutes === endMinutes) {
+                throw new Error(`Times need a 24-hour window, e.g. time=18:00-23:00`);
+            }
+            value = `${start.padStart(5, '0')}-${end.padStart(5, '0')}`;
+            break;
+        }
+    }
+
+    if (!value && value !== 0) throw new Error(`"${token}" is missing a value`);
+    return { type: 'condition', field, operator, value };
+};
+
+// Recursive descent over the tokens: or := and ('or' and)*, and := not ('and' not)*,
+// not := 'not' not | '(' or ')' | condition
+const parseRule = (text, resolveCategory) => {
+    const source = (text || '').trim().toLowerCase();
+    if (!source) throw new Error('The rule is empty');
+    if (source.length > MAX_RULE_LENGTH) throw new Error(`Rules can be up to ${MAX_RULE_LENGTH} characters long`);
+
+    const tokens = source.replace(/([()])/g, ' $1 ').split(/\s+/).filter(Boolean);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+
+    const parseOr = () => {
+        let node = parseAnd();
+        while (peek() === 'or') {
+            next();
+            node = { type: 'or', left: node, right: parseAnd() };
+        }
+        return node;
+    };
+
+    const parseAnd = () => {
+        let node = parseNot();
+        while (peek() === 'and') {
+            next();
+            node = { type: 'and', left: node, right: parseNot() };
+        }
+        return node;
+    };
+
+    const parseNot = () => {
+        const token = next();
+        if (token === undefined) throw new Error('The rule ends too early; a condition is missing');
+        if (token === 'not') return { type: 'not', operand: parseNot() };
+        if (token === '(') {
+            const node = parseOr();
+            if (next() !== ')') throw new Error('A "(" is missing its ")"');
+            return node;
+        }
+        if (token === ')' || token === 'and' || token === 'or') {
+            throw new Error(`Unexpected "${token}"; a condition is missing`);
+        }
+        return parseCondition(token, resolveCategory);
+    };
+
+    const ast = parseOr();
+    if (position < tokens.length) throw new Error(`Unexpected "${tokens[position]}"; join conditions with and / or`);
+
+    if (!isRestricted(ast)) {
+        throw new Error('Each part of a rule joined with or needs its own item, category or rarity condition (not ... doesn\'t count)');
+    }
+
+    return ast;
+};
+
+// Whether a node only matches items named by an item, category or rarity
+// condition; a negated condition matches everything else, so it never counts
+const isRestricted = (node) => {
+    if (node.type === 'condition') return ITEM_FIELDS.includes(node.field);
+    if (node.type === 'not') return false;
+    if (node.type === 'and') return isRestricted(node.left) || isRestricted(node.right);
+    return isRestricted(node.left) && isRestricted(node.right);
+};
+
+// Every condition in a rule, left to right
+const getConditions = (node) => {
+    if (node.type === 'condition') return [node];
+    if (node.type === 'not') return getConditions(node.operand);
+    return [...getConditions(node.left), ...getConditions(node.right)];
+};
+
+// Canonical text for a rule, with parentheses only where they're needed
+const formatRule = (node, parent = null) => {
+    if (node.type === 'condition') return `${node.field}${node.operator}${node.value}`;
+    if (node.type === 'not') return `not ${formatRule(node.operand, node)}`;
+
+    const text = `${formatRule(node.left, node)} ${node.type} ${formatRule(node.right, node)}`;
+    return (parent && parent.type !== node.type) ? `(${text})` : text;
+};
+
+const compare = (actual, operator, expected) => {
+    switch (operator) {
+        case '>=': return actual >= expected;
+        case '<=': return actual <= expected;
+        case '>': return actual > expected;
+        case '<': return actual < expected;
+        default: return actual === expected;
+    }
+};
+
+// context: { activeWeather: [weather ids], timeZone, now }
+const evaluateCondition = (condition, item, context) => {
+    switch (condition.field) {
+        case 'item': return item.item_id === condition.value;
+        case 'category': return item.category === condition.value;
+        case 'rarity': return getItemRarity(item.item_id) === condition.value;
+        case 'quantity': return compare(item.quantity ?? 0, condition.operator, condition.value);
+        case 'weather':
+            if (condition.value === '*') return context.activeWeather.length > 0;
+            if (condition.value === 'none') return context.activeWeather.length === 0;
+            return context.activeWeather.includes(condition.value);
+        case 'time': {
+            const [start, end] = condition.value.split('-');
+            return isWithinTimeWindow(start, end, context.timeZone, context.now);
+        }
+        default:
+            return false;
+    }
+};
+
+// Whether an item ({ item_id, quantity, category }) matches a parsed rule right now
+const evaluateRule = (node, item, context) => {
+    switch (node.type) {
+        case 'and': return evaluateRule(node.left, item, context) && evaluateRule(node.right, item, context);
+        case 'or': return evaluateRule(node.left, item, context) || evaluateRule(node.right, item, context);
+        case 'not': return !evaluateRule(node.operand, item, context);
+        default: return evaluateCondition(node, item, context);
+    }
+};
+
+module.exports = {
+    ITEM_FIELDS,
+    parseRule,
+    getConditions,
+    formatRule,
+    evaluateCondition,
+    evaluateRule
+};
@@ -9,6 +9,7 @@ class APIClient {
                 'User-Agent': 'RelStocks-Bot/1.1'
             }
         });
+        this.onSnapshot = null; // Called with every stock response
     }
 
     async getStock(retries = 3) {
@@ -20,6 +21,7 @@ class APIClient {
                     throw new Error(`Unexpected status code: ${response.status}`);
                 }
 
+                if (this.onSnapshot) this.onSnapshot(response.data, 'api');
                 return response.data;
             } catch (error) {
                 console.error(`❌ API request failed (attempt ${attempt}/${retries}):`, error.message);
@@ -11,6 +11,16 @@ if (!supabaseUrl || !supabaseKey) {
 
 const supabase = createClient(supabaseUrl, supabaseKey);
 
+// Preferences for users who haven't changed anything
+const defaultPreferences = {
+    rich_messages: false,
+    timezone: null,
+    notification_mode: 'full',
+    quiet_start: null,
+    quiet_end: null,
+    news: false
+};
+
 // Initialize subscribers table if it doesn't exist
 const initDatabase = async () => {
     try {
@@ -33,12 +43,13 @@ const initDatabase = async () => {
     }
 };
 
-// Get all subscribers
+// Get all active subscribers
 const getSubscribers = async () => {
     try {
         const { data, error } = await supabase
             .from('subscribers')
-            .select('user_id');
+            .select('user_id')
+            .eq('active', true);
 
         if (error) throw error;
         return new Set(data.map(row => row.user_id));
@@ -48,11 +59,23 @@ const getSubscribers = async () => {
     }
 };
 
-const addAlert = async (userId, category, itemId) => {
+// Add an alert, or update the minimum quantity of an existing one
+const addAlert = async (userId, category, itemId, minQuantity = null) => {
     try {
+        const { data: updated, error: updateError } = await supabase
+            .from('subscriber_alerts')
+            .update({ min_quantity: minQuantity })
+            .eq('user_id', userId)
+            .eq('category', category)
+            .eq('item_id', itemId)
+            .select('item_id');
+
+        if (updateError) throw updateError;
+        if (updated.length) return true;
+
         const { error } = await supabase
             .from('subscriber_alerts')
-            .insert([{ user_id: userId, category, item_id: itemId }]);
+            .insert([{ user_id: userId, category, item_id: itemId, min_quantity: minQuantity }]);
 
         if (error) throw error;
         return true;
@@ -79,11 +102,48 @@ const removeAlert = async (userId, category, itemId) => {
     }
 };
 
+// Remove every alert a user has in a category, including wildcard rules
+const removeCategoryAlerts = async (userId, category) => {
+    try {
+        const { data, error } = await supabase
+            .from('subscriber_alerts')
+            .delete()
+            .eq('user_id', userId)
+            .eq('category', category)
+            .select('item_id');
+
+        if (error) throw error;
+        return data.length;
+    } catch (err) {
+        console.error('Error removing category alerts:', err);
+        return null;
+    }
+};
+
+// Mark alerts as urgent (delivered during quiet hours); returns how many matched
+const setAlertUrgent = async (userId, category, itemId, urgent) => {
+    try {
+        const { data, error } = await supabase
+            .from('subscriber_alerts')
+            .update({ urgent })
+            .eq('user_id', userId)
+            .eq('category', category)
+            .eq('item_id', itemId)
+            .select('item_id');
+
+        if (error) throw error;
+        return data.length;
+    } catch (err) {
+        console.error('Error updating urgent alert:', err);
+        return null;
+    }
+};
+
 const getUserAlerts = async (userId) => {
     try {
         const { data, error } = await supabase
             .from('subscriber_alerts')
-            .select('category, item_id')
+            .select('category, item_id, min_quantity, urgent')
             .eq('user_id', userId);
 
         if (error) throw error;
@@ -91,7 +151,11 @@ const getUserAlerts = async (userId) => {
         const alerts = {};
         for (const row of data) {
             if (!alerts[row.category]) alerts[row.category] = [];
-            alerts[row.category].push(row.item_id);
+            alerts[row.category].push({
+                itemId: row.item_id,
+                minQuantity: row.min_quantity ?? null,
+                urgent: !!row.urgent
+            });
         }
 
         return alerts;
@@ -101,12 +165,18 @@ const getUserAlerts = async (userId) => {
     }
 };
 
-// Add a subscriber
+// Add a subscriber (re-activates one that was auto-unsubscribed)
 const addSubscriber = async (userId) => {
     try {
         const { error } = await supabase
             .from('subscribers')
-            .insert([{ user_id: userId }]);
+            .upsert([{
+                user_id: userId,
+                active: true,
+                failure_count: 0,
+                last_error: null,
+                deactivated_at: null
+            }], { onConflict: 'user_id' });
 
         if (error) throw error;
         return true;
@@ -132,12 +202,1084 @@ const removeSubscriber = async (userId) => {
     }
 };
 
+// Failure counts of subscribers whose last deliveries failed
+const getSubscriberFailureCounts = async () => {
+    try {
+        const { data, error } = await supabase
+            .from('subscribers')
+            .select('user_id, failure_count')
+            .eq('active', true)
+            .gt('failure_count', 0);
+
+        if (error) throw error;
+        return new Map(data.map(row => [row.user_id, row.failure_count]));
+    } catch (err) {
+        console.error('Error getting subscriber failure counts:', err);
+        return new Map();
+    }
+};
+
+const setSubscriberFailureCount = async (userId, failureCount, lastError = null) => {
+    try {
+        const { error } = await supabase
+            .from('subscribers')
+            .update({ failure_count: failureCount, last_error: lastError })
+            .eq('user_id', userId);
+
+        if (error) throw error;
+        return true;
+    } catch (err) {
+        console.error('Error updating subscriber failure count:', err);
+        return false;
+    }
+};
+
+// Mark a subscriber inactive without losing their alerts
+const deactivateSubscriber = async (userId, reason) => {
+    try {
+        const { error } = await supabase
+            .from('subscribers')
+            .update({
+                active: false,
+                last_error: reason,
+                deactivated_at: new Date().toISOString()
+            })
+            .eq('user_id', userId);
+
+        if (error) throw error;
+        return true;
+    } catch (err) {
+        console.error('Error deactivating subscriber:', err);
+        return false;
+    }
+};
+
+const getInactiveSubscribers = async (limit = 20) => {
+    try {
+        const { data, error } = await supabase
+            .from('subscribers')
+            .select('user_id, last_error, deactivated_at')
+            .eq('active', false)
+            .order('deactivated_at', { ascending: false })
+            .limit(limit);
+
+        if (error) throw error;
+        return data;
+    } catch (err) {
+        console.error('Error getting inactive subscribers:', err);
+        return [];
+    }
+};
+
+// Get a user's conversation state, or null if they have none; throws if it can't be read
+const getUserState = async (userId) => {
+    try {
+        const { data, error } = await supabase
+            .from('user_states')
+            .select('flow, step, data')
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    } catch (err) {
+        // Thrown on, so a failed lookup isn't mistaken for a user with no state
+        console.error('Error getting user state:', err);
+        throw err;
+    }
+};
+
+// Save a user's conversation state
+const setUserState = async (userId, flow, step, stateData = {}) => {
+    try {
+        const { error } = await supabase
+            .from('user_states')
+            .upsert([{
+                user_id: userId,
+                flow,
+                step,
+                data: stateData,
+                updated_at: new Date().toISOString()
+            }], { onConflict: 'user_id' });
+
+        if (error) throw error;
+        return true;
+    } catch (err) {
+        console.error('Error saving user state:', err);
+        return false;
+    }
+};
+
+// Get the last alerted restock cycle per category for a user
+const getNotificationStates = async (userId) => {
+    try {
+        const { data, error } = await supabase
+            .from('notification_state')
+            .select('category, restock_cycle, item_ids, items')
+            .eq('user_id', userId);
+
+        if (error) throw error;
+
+        const states = {};
+        for (const row of data) {
+            states[row.category] = {
+                restockCycle: Number(row.restock_cycle),
+                itemIds: row.item_ids || [],
+                items: row.items || []
+            };
+        }
+
+        return states;
+    } catch (err) {
+        console.error('Error getting notification state:', err);
+        return {};
+    }
+};
+
+// Save the restock cycle and items (with quantities) a user was just alerted about
+const saveNotificationStates = async (userId, states) => {
+    if (!states.length) return true;
+
+    try {
+        const { error } = await supabase
+            .from('notification_state')
+            .upsert(states.map(state => ({
+                user_id: userId,
+                category: state.category,
+                restock_cycle: state.restockCycle,
+                item_ids: state.itemIds,
+                items: state.items || [],
+                notified_at: new Date().toISOString()
+            })), { onConflict: 'user_id,category' });
+
+        if (error) throw error;
+        return true;
+    } catch (err) {
+        console.error('Error saving notification state:', err);
+        return false;
+    }
+};
+
+// Persist an outbound message so it survives a restart
+const saveQueuedMessage = async (recipientId, payload) => {
+    try {
+        const { data, error } = await supabase
+            .from('message_queue')
+            .insert([{ recipient_id: recipientId, payload }])
+            .select('id')
+            .single();
+
+        if (error) throw error;
+        return data.id;
+    } catch (err) {
+        console.error('Error saving queued message:', err);
+        return null;
+    }
+};
+
+const deleteQueuedMessage = async (id) => {
+    try {
+        const { error } = await supabase
+            .from('message_queue')
+            .delete()
+            .eq('id', id);
+
+        if (error) throw error;
+        return true;
+    } catch (err) {
+        console.error('Error deleting queued message:', err);
+        return false;
+    }
+};
+
+const getQueuedMessages = async () => {
+    try {
+        const { data, error } = await supabase
+            .from('message_queue')
+            .select('id, recipient_id, payload')
+            .order('id', { ascending: true });
+
+        if (error) throw error;
+        return data;
+    } catch (err) {
+        console.error('Error getting queued messages:', err);
+        return [];
+    }
+};
+
+// Dead-letter store for messages that could not be delivered
+const addDeadLetter = async (recipientId, payload, errorMessage, errorCode, attempts) => {
+    try {
+        const { error } = await supabase
+            .from('dead_letters')
+            .insert([{
+                recipient_id: recipientId,
+                payload,
+                error: errorMessage,
+                error_code: errorCode != null ? String(errorCode) : null,
+                attempts
+            }]);
+
+        if (error) throw error;
+        return true;
+    } catch (err) {
+        console.error('Error adding dead letter:', err);
+        return false;
+    }
+};
+
+const getDeadLetters = async (limit = 10) => {
+    try {
+        const { data, error } = await supabase
+            .from('dead_letters')
+            .select('id, recipient_id, payload, error, error_code, attempts, failed_at')
+            .order('id', { ascending: false })
+            .limit(limit);
+
+        if (error) throw error;
+        return data;
+    } catch (err) {
+        console.error('Error getting dead letters:', err);
+        return [];
+    }
+};
+
+const deleteDeadLetter = async (id) => {
+    try {
+        const { error } = await supabase
+            .from('dead_letters')
+            .delete()
+            .eq('id', id);
+
+        if (error) throw error;
+        return true;
+    } catch (err) {
+        console.error('Error deleting dead letter:', err);
+        return false;
+    }
+};
+
+// Messenger notification-messages opt-in tokens
+const getNotificationTokens = async () => {
+    try {
+        const { data, error } = await supabase
+            .from('notification_tokens')
+            .select('user_id, token, expires_at, status, reoptin_prompted_at');
+
+        if (error) throw error;
+        return data;
+    } catch (err) {
+        console.error('Error getting notification tokens:', err);
+        return [];
+    }
+};
+
+const saveNotificationToken = async (userId, token, expiresAt) => {
+    try {
+        const { error } = await supabase
+            .from('notification_tokens')
+            .upsert([{
+                user_id: userId,
+                token,
+                expires_at: expiresAt ? new Date(expiresAt).toISOString() : null,
+                status: 'active',
+                reoptin_prompted_at: null,
+                updated_at: new Date().toISOString()
+            }], { onConflict: 'user_id' });
+
+        if (error) throw error;
+        return true;
+    } catch (err) {
+        console.error('Error saving notification token:', err);
+        return false;
+    }
+};
+
+const updateNotificationToken = async (userId, updates) => {
+    try {
+        const { error } = await supabase
+            .from('notification_tokens')
+            .update({ ...updates, updated_at: new Date().toISOString() })
+            .eq('user_id', userId);
+
+        if (error) throw error;
+        return true;
+    } catch (err) {
+        console.error('Error updating notification token:', err);
+        return false;
+    }
+};
+
+// Remember when a user last wrote, so the messaging window survives a restart
+const saveLastInteraction = async (userId, at) => {
+    try {
+        const { error } = await supabase
+            .from('user_interactions')
+            .upsert({ user_id: userId, last_interaction_at: new Date(at).toISOString() }, { onConflict: 'user_id' });
+
+        if (error) throw error;
+        return true;
+    } catch (err) {
+        console.error('Error saving last interaction:', err);
+        return false;
+    }
+};
+
+// Users who wrote since the given time, with when they last did
+const getRecentInteractions = async (since) => {
+    try {
+        const { data, error } = await supabase
+            .from('user_interactions')
+            .select('user_id, last_interaction_at')
+            .gte('last_interaction_at', since.toISOString());
+
+        if (error) throw error;
+        return data;
+    } catch (err) {
+        console.error('Error getting recent interactions:', err);
+        return [];
+    }
+};
+
+// Get a user's preferences merged over the defaults
+const getUserPreferences = async (userId) => {
+    try {
+        const { data, error } = await supabase
+            .from('user_preferences')
+            .select('*')
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) throw error;
+        return { ...defaultPreferences, ...data };
+    } catch (err) {
+        console.error('Error getting user preferences:', err);
+        return { ...defaultPreferences };
+    }
+};
+
+const setUserPreferences = async (userId, updates) => {
+    try {
+        const { error } = await supabase
+            .from('user_preferences')
+            .upsert([{
+                user_id: userId,
+                ...updates,
+                updated_at: new Date().toISOString()
+            }], { onConflict: 'user_id' });
+
+        if (error) throw error;
+        return true;
+    } catch (err) {
+        console.error('Error saving user preferences:', err);
+        return false;
+    }
+};
+
+// Store a stock snapshot along with one row per item
+const saveStockSnapshot = async (hash, source, stockData, items, capturedAt) => {
+    try {
+        const { data, error } = await supabase
+            .from('stock_snapshots')
+            .insert([{ hash, source, data: stockData, captured_at: capturedAt }])
+            .select('id')
+            .single();
+
+        if (error) throw error;
+
+        if (items.length) {
+            const { error: itemsError } = await supabase
+                .from('stock_snapshot_items')
+                .insert(items.map(item => ({ ...item, snapshot_id: data.id, captured_at: capturedAt })));
+
+            if (itemsError) throw itemsError;
+        }
+
+        return data.id;
+    } catch (err) {
+        console.error('Error saving stock snapshot:', err);
+        return null;
+    }
+};
+
+const getLatestSnapshotHash = async () => {
+    try {
+        const { data, error } = await supabase
+            .from('stock_snapshots')
+            .select('hash')
+            .order('captured_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data ? data.hash : null;
+    } catch (err) {
+        console.error('Error getting latest snapshot:', err);
+        return null;
+    }
+};
+
+// Capture times of all snapshots since a given time
+const getSnapshotTimes = async (since) => {
+    const pageSize = 1000; // Supabase caps rows per request
+    const times = [];
+
+    try {
+        for (let from = 0; ; from += pageSize) {
+            const { data, error } = await supabase
+                .from('stock_snapshots')
+                .select('captured_at')
+                .gte('captured_at', since.toISOString())
+                .order('captured_at', { ascending: true })
+                .range(from, from + pageSize - 1);
+
+            if (error) throw error;
+            times.push(...data.map(row => new Date(row.captured_at).getTime()));
+            if (data.length < pageSize) break;
+        }
+
+        return times;
+    } catch (err) {
+        console.error('Error getting snapshot times:', err);
+        return [];
+    }
+};
+
+// Appearances of an item since a given time, newest first
+const getItemHistory = async (itemId, since) => {
+    const pageSize = 1000; // Supabase caps rows per request
+    const rows = [];
+
+    try {
+        for (let from = 0; ; from += pageSize) {
+            const { data, error } = await supabase
+                .from('stock_snapshot_items')
+                .select('category, quantity, captured_at')
+                .eq('item_id', itemId)
+                .gte('captured_at', since.toISOString())
+                .order('captured_at', { ascending: false })
+                .range(from, from + pageSize - 1);
+
+            if (error) throw error;
+            rows.push(...data);
+            if (data.length < pageSize) break;
+        }
+
+        return rows;
+    } catch (err) {
+        console.error('Error getting item history:', err);
+        return [];
+    }
+};
+
+// Every catalogued item as { category, item_id }
+const getCatalogItems = async () => {
+    const pageSize = 1000; // Supabase caps rows per request
+    const items = [];
+
+    try {
+        for (let from = 0; ; from += pageSize) {
+            const { data, error } = await supabase
+                .from('item_catalog')
+                .select('category, item_id')
+                .order('category', { ascending: true })
+                .range(from, from + pageSize - 1);
+
+            if (error) throw error;
+            items.push(...data);
+            if (data.length < pageSize) break;
+        }
+
+        return items;
+    } catch (err) {
+        console.error('Error getting item catalog:', err);
+        return [];
+    }
+};
+
+// Add newly seen items; items already in the catalog are left untouched
+const saveCatalogItems = async (items) => {
+    if (!items.length) return true;
+
+    try {
+        const { error } = await supabase
+            .from('item_catalog')
+            .upsert(items.map(item => ({
+                category: item.category,
+                item_id: item.item_id
+            })), { onConflict: 'category,item_id', ignoreDuplicates: true });
+
+        if (error) throw error;
+        return true;
+    } catch (err) {
+        console.error('Error saving catalog items:', err);
+        return false;
+    }
+};
+
+// The admin's item metadata edits, as { item_id, metadata }
+const getItemMetadataEdits = async () => {
+    try {
+        const { data, error } = await supabase
+            .from('item_metadata')
+            .select('item_id, metadata');
+
+        if (error) throw error;
+        return data;
+    } catch (err) {
+        console.error('Error getting item metadata:', err);
+        return [];
+    }
+};
+
+// Save (or with no fields left, delete) one item's metadata edits; throws so the admin sees a failed edit
+const saveItemMetadataEdit = async (itemId, metadata) => {
+    const query = Object.keys(metadata).length
+        ? supabase
+            .from('item_metadata')
+            .upsert({ item_id: itemId, metadata, updated_at: new Date().toISOString() }, { onConflict: 'item_id' })
+        : supabase
+            .from('item_metadata')
+            .delete()
+            .eq('item_id', itemId);
+
+    const { error } = await query;
+    if (error) throw error;
+    return true;
+};
+
+// Keep items found during a user's quiet hours for the summary when they end
+const saveHeldAlerts = async (userId, items, releaseAt) => {
+    if (!items.length) return true;
+
+    try {
+        const heldAt = new Date().toISOString();
+        const { error } = await supabase
+            .from('held_alerts')
+            .insert(items.map(item => ({
+                user_id: userId,
+                category: item.category,
+                item_id: item.item_id,
+                quantity: item.quantity ?? null,
+                held_at: heldAt,
+                release_at: releaseAt.toISOString()
+            })));
+
+        if (error) throw error;
+        return true;
+    } catch (err) {
+        console.error('Error saving held alerts:', err);
+        return false;
+    }
+};
+
+// Users with held alerts whose quiet hours have ended
+const getHeldAlertUsers = async (now = new Date()) => {
+    const pageSize = 1000; // Supabase caps rows per request
+    const userIds = new Set();
+
+    try {
+        for (let from = 0; ; from += pageSize) {
+            const { data, error } = await supabase
+                .from('held_alerts')
+                .select('user_id')
+                .lte('release_at', now.toISOString())
+                .order('id', { ascending: true })
+                .range(from, from + pageSize - 1);
+
+            if (error) throw error;
+            data.forEach(row => userIds.add(row.user_id));
+            if (data.length < pageSize) break;
+        }
+
+        return [...userIds];
+    } catch (err) {
+        console.error('Error getting held alert users:', err);
+        return [];
+    }
+};
+
+// A user's held alerts, oldest first
+const getHeldAlerts = async (userId) => {
+    try {
+        const { data, error } = await supabase
+            .from('held_alerts')
+            .select('id, category, item_id, quantity, held_at')
+            .eq('user_id', userId)
+            .order('id', { ascending: true });
+
+        if (error) throw error;
+        return data;
+    } catch (err) {
+        console.error('Error getting held alerts:', err);
+        return [];
+    }
+};
+
+// Delete held alerts up to a given id, so rows added while sending the summary survive
+const deleteHeldAlerts = async (userId, upToId = null) => {
+    try {
+        let query = supabase
+            .from('held_alerts')
+            .delete()
+            .eq('user_id', userId);
+        if (upToId != null) query = query.lte('id', upToId);
+
+        const { error } = await query;
+
+        if (error) throw error;
+        return true;
+    } catch (err) {
+        console.error('Error deleting held alerts:', err);
+        return false;
+    }
+};
+
+// Make a user's held alerts due now, e.g. after their quiet hours changed
+const releaseHeldAlertsNow = async (userId) => {
+    try {
+        const { error } = await supabase
+            .from('held_alerts')
+            .update({ release_at: new Date().toISOString() })
+            .eq('user_id', userId);
+
+        if (error) throw error;
+        return true;
+    } catch (err) {
+        console.error('Error releasing held alerts:', err);
+        return false;
+    }
+};
+
+// Drop held alerts too old to be worth a summary
+const deleteExpiredHeldAlerts = async (before) => {
+    try {
+        const { error } = await supabase
+            .from('held_alerts')
+            .delete()
+            .lt('held_at', before.toISOString());
+
+        if (error) throw error;
+        return true;
+    } catch (err) {
+        console.error('Error deleting expired held alerts:', err);
+        return false;
+    }
+};
+
+// Snooze alerts until a given time; '*' as category or item covers all of them
+const saveSnooze = async (userId, category, itemId, until) => {
+    try {
+        const { error } = await supabase
+            .from('alert_snoozes')
+            .upsert([{
+                user_id: userId,
+                category,
+                item_id: itemId,
+                snoozed_until: until.toISOString()
+            }], { onConflict: 'user_id,category,item_id' });
+
+        if (error) throw error;
+        return true;
+    } catch (err) {
+        console.error('Error saving snooze:', err);
+        return false;
+    }
+};
+
+const getSnoozes = async (userId) => {
+    try {
+        const { data, error } = await supabase
+            .from('alert_snoozes')
+            .select('category, item_id, snoozed_until')
+            .eq('user_id', userId)
+            .order('snoozed_until', { ascending: true });
+
+        if (error) throw error;
+        return data;
+    } catch (err) {
+        console.error('Error getting snoozes:', err);
+        return [];
+    }
+};
+
+// Remove all of a user's snoozes, or only those for a category / item; returns how many
+const removeSnoozes = async (userId, category = null, itemId = null) => {
+    try {
+        let query = supabase
+            .from('alert_snoozes')
+            .delete()
+            .eq('user_id', userId);
+        if (category) query = query.eq('category', category);
+        if (itemId) query = query.eq('item_id', itemId);
+
+        const { data, error } = await query.select('item_id');
+
+        if (error) throw error;
+        return data.length;
+    } catch (err) {
+        console.error('Error removing snoozes:', err);
+        return null;
+    }
+};
+
+// Snoozes that have run out and still need their confirmation sent
+const getExpiredSnoozes = async (now = new Date()) => {
+    try {
+        const { data, error } = await supabase
+            .from('alert_snoozes')
+            .select('user_id, category, item_id, snoozed_until')
+            .lte('snoozed_until', now.toISOString())
+            .order('snoozed_until', { ascending: true })
+            .limit(500);
+
+        if (error) throw error;
+        return data;
+    } catch (err) {
+        console.error('Error getting expired snoozes:', err);
+        return [];
+    }
+};
+
+// Delete an expired snooze unless the user has extended it in the meantime
+const deleteExpiredSnooze = async (snooze) => {
+    try {
+        const { error } = await supabase
+            .from('alert_snoozes')
+            .delete()
+            .eq('user_id', snooze.user_id)
+            .eq('category', snooze.category)
+            .eq('item_id', snooze.item_id)
+            .eq('snoozed_until', snooze.snoozed_until);
+
+        if (error) throw error;
+        return true;
+    } catch (err) {
+        console.error('Error deleting expired snooze:', err);
+        return false;
+    }
+};
+
+// Subscribe a user to a weather event type ('*' for every type)
+const addWeatherSubscription = async (userId, weatherId) => {
+    try {
+        const { error } = await supabase
+            .from('weather_subscriptions')
+            .upsert([{ user_id: userId, weather_id: weatherId }], {
+                onConflict: 'user_id,weather_id',
+                ignoreDuplicates: true
+            });
+
+        if (error) throw error;
+        return true;
+    } catch (err) {
+        console.error('Error adding weather subscription:', err);
+        return false;
+    }
+};
+
+// Remove one weather subscription, or all of them when no type is given; returns how many
+const removeWeatherSubscription = async (userId, weatherId = null) => {
+    try {
+        let query = supabase
+            .from('weather_subscriptions')
+            .delete()
+            .eq('user_id', userId);
+        if (weatherId) query = query.eq('weather_id', weatherId);
+
+        const { data, error } = await query.select('weather_id');
+
+        if (error) throw error;
+        return data.length;
+    } catch (err) {
+        console.error('Error removing weather subscription:', err);
+        return null;
+    }
+};
+
+const getWeatherSubscriptions = async (userId) => {
+    try {
+        const { data, error } = await supabase
+            .from('weather_subscriptions')
+            .select('weather_id')
+            .eq('user_id', userId);
+
+        if (error) throw error;
+        return data.map(row => row.weather_id);
+    } catch (err) {
+        console.error('Error getting weather subscriptions:', err);
+        return [];
+    }
+};
+
+// Users subscribed to a weather type, directly or through '*'
+const getWeatherSubscribers = async (weatherId) => {
+    try {
+        const { data, error } = await supabase
+            .from('weather_subscriptions')
+            .select('user_id')
+            .in('weather_id', [weatherId, '*']);
+
+        if (error) throw error;
+        return [...new Set(data.map(row => row.user_id))];
+    } catch (err) {
+        console.error('Error getting weather subscribers:', err);
+        return [];
+    }
+};
+
+// Store upstream notifications; returns only the ones that weren't stored before
+const saveUpstreamNotifications = async (notifications, status) => {
+    if (!notifications.length) return [];
+
+    try {
+        const receivedAt = new Date().toISOString();
+        const { data, error } = await supabase
+            .from('upstream_notifications')
+            .upsert(notifications.map(notification => ({
+                id: notification.id,
+                message: notification.message,
+                status,
+                published_at: notification.publishedAt ? notification.publishedAt.toISOString() : null,
+                received_at: receivedAt
+            })), { onConflict: 'id', ignoreDuplicates: true })
+            .select('id, message, status, received_at');
+
+        if (error) throw error;
+        return data;
+    } catch (err) {
+        console.error('Error saving upstream notifications:', err);
+        return [];
+    }
+};
+
+const hasUpstreamNotifications = async () => {
+    const { data, error } = await supabase
+        .from('upstream_notifications')
+        .select('id')
+        .limit(1);
+
+    // Let the poller skip this round rather than treat a DB error as a first run
+    if (error) throw error;
+    return data.length > 0;
+};
+
+// Latest upstream notifications, optionally only those with a given status
+const getUpstreamNotifications = async (status = null, limit = 5) => {
+    try {
+        let query = supabase
+            .from('upstream_notifications')
+            .select('id, message, status, received_at')
+            .order('received_at', { ascending: false })
+            .limit(limit);
+        if (status) query = query.eq('status', status);
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+        return data;
+    } catch (err) {
+        console.error('Error getting upstream notifications:', err);
+        return [];
+    }
+};
+
+// Move a notification from one status to another; null if it wasn't in the expected status
+const updateUpstreamNotificationStatus = async (id, fromStatus, toStatus) => {
+    try {
+        const { data, error } = await supabase
+            .from('upstream_notifications')
+            .update({ status: toStatus })
+            .eq('id', id)
+            .eq('status', fromStatus)
+            .select('id, message, status, received_at');
+
+        if (error) throw error;
+        return data[0] || null;
+    } catch (err) {
+        console.error('Error updating upstream notification:', err);
+        return null;
+    }
+};
+
+// Users who turned on upstream notifications with `news on`
+const getNewsSubscribers = async () => {
+    try {
+        const { data, error } = await supabase
+            .from('user_preferences')
+            .select('user_id')
+            .eq('news', true);
+
+        if (error) throw error;
+        return data.map(row => row.user_id);
+    } catch (err) {
+        // Thrown on, so a failed lookup isn't mistaken for nobody to relay to
+        console.error('Error getting news subscribers:', err);
+        throw err;
+    }
+};
+
+// Save a conditional alert rule; returns its id
+const addAlertRule = async (userId, expression) => {
+    try {
+        const { data, error } = await supabase
+            .from('alert_rules')
+            .insert([{ user_id: userId, expression }])
+            .select('id')
+            .single();
+
+        if (error) throw error;
+        return data.id;
+    } catch (err) {
+        console.error('Error adding alert rule:', err);
+        return null;
+    }
+};
+
+const getAlertRules = async (userId) => {
+    try {
+        const { data, error } = await supabase
+            .from('alert_rules')
+            .select('id, expression')
+            .eq('user_id', userId)
+            .order('id', { ascending: true });
+
+        if (error) throw error;
+        return data;
+    } catch (err) {
+        console.error('Error getting alert rules:', err);
+        return [];
+    }
+};
+
+// Delete one of a user's rules; false if there was no such rule
+const deleteAlertRule = async (userId, id) => {
+    try {
+        const { data, error } = await supabase
+            .from('alert_rules')
+            .delete()
+            .eq('user_id', userId)
+            .eq('id', id)
+            .select('id');
+
+        if (error) throw error;
+        return data.length > 0;
+    } catch (err) {
+        console.error('Error deleting alert rule:', err);
+        return false;
+    }
+};
+
+// Register or update a Discord channel webhook
+const saveDiscordWebhook = async (name, webhookUrl) => {
+    try {
+        const { error } = await supabase
+            .from('discord_webhooks')
+            .upsert({ name, webhook_url: webhookUrl }, { onConflict: 'name' });
+
+        if (error) throw error;
+        return true;
+    } catch (err) {
+        console.error('Error saving Discord webhook:', err);
+        return false;
+    }
+};
+
+const getDiscordWebhooks = async () => {
+    try {
+        const { data, error } = await supabase
+            .from('discord_webhooks')
+            .select('name, webhook_url')
+            .order('name', { ascending: true });
+
+        if (error) throw error;
+        return data;
+    } catch (err) {
+        console.error('Error getting Discord webhooks:', err);
+        return [];
+    }
+};
+
+// Delete a Discord channel webhook; false if there was no such channel
+const deleteDiscordWebhook = async (name) => {
+    try {
+        const { data, error } = await supabase
+            .from('discord_webhooks')
+            .delete()
+            .eq('name', name)
+            .select('name');
+
+        if (error) throw error;
+        return data.length > 0;
+    } catch (err) {
+        console.error('Error deleting Discord webhook:', err);
+        return false;
+    }
+};
+
 module.exports = {
     initDatabase,
     addAlert,
     removeAlert,
+    removeCategoryAlerts,
+    setAlertUrgent,
     getUserAlerts,
     getSubscribers,
     addSubscriber,
-    removeSubscriber
+    removeSubscriber,
+    getSubscriberFailureCounts,
+    setSubscriberFailureCount,
+    deactivateSubscriber,
+    getInactiveSubscribers,
+    getUserState,
+    setUserState,
+    getNotificationStates,
+    saveNotificationStates,
+    saveQueuedMessage,
+    deleteQueuedMessage,
+    getQueuedMessages,
+    addDeadLetter,
+    getDeadLetters,
+    deleteDeadLetter,
+    getNotificationTokens,
+    saveNotificationToken,
+    updateNotificationToken,
+    saveLastInteraction,
+    getRecentInteractions,
+    getUserPreferences,
+    setUserPreferences,
+    saveStockSnapshot,
+    getLatestSnapshotHash,
+    getSnapshotTimes,
+    getItemHistory,
+    getCatalogItems,
+    saveCatalogItems,
+    getItemMetadataEdits,
+    saveItemMetadataEdit,
+    saveHeldAlerts,
+    getHeldAlertUsers,
+    getHeldAlerts,
+    deleteHeldAlerts,
+    releaseHeldAlertsNow,
+    deleteExpiredHeldAlerts,
+    saveSnooze,
+    getSnoozes,
+    removeSnoozes,
+    getExpiredSnoozes,
+    deleteExpiredSnooze,
+    addWeatherSubscription,
+    removeWeatherSubscription,
+    getWeatherSubscriptions,
+    getWeatherSubscribers,
+    saveUpstreamNotifications,
+    hasUpstreamNotifications,
+    getUpstreamNotifications,
+    updateUpstreamNotificationStatus,
+    getNewsSubscribers,
+    addAlertRule,
+    getAlertRules,
+    deleteAlertRule,
+    saveDiscordWebhook,
+    getDiscordWebhooks,
+    deleteDiscordWebhook
 }; 
\ No newline at end of file
@@ -0,0 +1,101 @@
+const { getDiscordWebhooks } = require('./db');
+
+// Discord channels are stored as "discord:<name>"; the name is picked by the admin
+const USER_PREFIX = 'discord:';
+const MAX_EMBEDS = 10; // Discord's limit per message
+const MAX_CONTENT_LENGTH = 2000; // Discord's limit for message content
+const WEBHOOK_URL_PATTERN = /^https:\/\/(?:(?:canary|ptb)\.)?discord(?:app)?\.com\/api\/webhooks\/\d+\/[\w-]+$/;
+
+// Posts to Discord channels through their webhooks. Webhooks can't receive
+// messages or show buttons, so channels are set up by the admin and quick
+// replies are dropped.
+class DiscordChannel {
+    constructor() {
+        this.name = 'discord';
+        this.label = 'Discord';
+        this.maxMessageLength = MAX_CONTENT_LENGTH;
+        this.webhooks = new Map(); // channel name -> webhook URL
+    }
+
+    static toUserId(name) {
+        return `${USER_PREFIX}${name}`;
+    }
+
+    static isWebhookUrl(url) {
+        return WEBHOOK_URL_PATTERN.test(url);
+    }
+
+    async load() {
+        const webhooks = await getDiscordWebhooks();
+        this.webhooks = new Map(webhooks.map(webhook => [webhook.name, webhook.webhook_url]));
+        console.log(`💬 Loaded ${this.webhooks.size} Discord channel(s)`);
+        return this.webhooks.size;
+    }
+
+    ownsUser(userId) {
+        return typeof userId === 'string' && userId.startsWith(USER_PREFIX);
+    }
+
+    toName(userId) {
+        return userId.slice(USER_PREFIX.length);
+    }
+
+    getNames() {
+        return [...this.webhooks.keys()].sort();
+    }
+
+    has(name) {
+        return this.webhooks.has(name);
+    }
+
+    setWebhook(name, webhookUrl) {
+        this.webhooks.set(name, webhookUrl);
+    }
+
+    removeWebhook(name) {
+        return this.webhooks.delete(name);
+    }
+
+    // Post straight to a webhook URL; wait=true makes Discord report errors instead of dropping the message
+    async post(webhookUrl, body) {
+        const response = await fetch(`${webhookUrl}?wait=true`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            const error = new Error(`Discord webhook error: ${response.status}${data.message ? ` - ${data.message}` : ''}`);
+            error.status = response.status;
+            // 401/404 mean the webhook was deleted or its token reset
+            error.recipientUnavailable = response.status === 401 || response.status === 404;
+            // Sent with 429, in seconds
+            if (data.retry_after) error.retryAfter = Math.ceil(data.retry_after * 1000);
+            throw error;
+        }
+    }
+
+    // Same arguments as a Messenger delivery; options.embeds go out below the text
+    async send(userId, text, options = {}) {
+        // Webhooks have no messaging window, so Messenger's opt-in request has nothing to ask
+        if (options.attachment?.payload?.template_type === 'notification_messages') return;
+
+        const webhookUrl = this.webhooks.get(this.toName(userId));
+        if (!webhookUrl) {
+            const error = new Error(`No Discord webhook registered for ${userId}`);
+            // Same as a deleted webhook, so the queue doesn't retry it as a network failure
+            error.status = 404;
+            error.recipientUnavailable = true;
+            throw error;
+        }
+
+        // Item names can contain @, so never let a message ping anyone
+        const body = { content: text, allowed_mentions: { parse: [] } };
+        if (options.embeds?.length) body.embeds = options.embeds.slice(0, MAX_EMBEDS);
+
+        await this.post(webhookUrl, body);
+    }
+}
+
+module.exports = DiscordChannel;
@@ -1,34 +1,146 @@
 const express = require('express');
 const bodyParser = require('body-parser');
-const { initDatabase, getSubscribers, addSubscriber, removeSubscriber, addAlert, removeAlert, getUserAlerts } = require('./db');
+const {
+    initDatabase,
+    getSubscribers,
+    addSubscriber,
+    removeSubscriber,
+    getSubscriberFailureCounts,
+    setSubscriberFailureCount,
+    deactivateSubscriber,
+    getInactiveSubscribers,
+    addAlert,
+    removeAlert,
+    removeCategoryAlerts,
+    getUserAlerts,
+    getNotificationStates,
+    saveNotificationStates,
+    getUserPreferences,
+    setUserPreferences,
+    getDeadLetters,
+    deleteDeadLetter,
+    setAlertUrgent,
+    saveHeldAlerts,
+    getHeldAlertUsers,
+    getHeldAlerts,
+    deleteHeldAlerts,
+    releaseHeldAlertsNow,
+    deleteExpiredHeldAlerts,
+    saveSnooze,
+    getSnoozes,
+    removeSnoozes,
+    getExpiredSnoozes,
+    deleteExpiredSnooze,
+    addWeatherSubscription,
+    removeWeatherSubscription,
+    getWeatherSubscriptions,
+    getWeatherSubscribers,
+    getUpstreamNotifications,
+    updateUpstreamNotificationStatus,
+    getNewsSubscribers,
+    addAlertRule,
+    getAlertRules,
+    deleteAlertRule,
+    saveDiscordWebhook,
+    deleteDiscordWebhook
+} = require('./db');
 const WebSocketManager = require('./websocket-manager');
 const APIClient = require('./api-client');
 const StockManager = require('./stock-manager');
+const OnboardingManager = require('./onboarding-manager');
+const MessageQueue = require('./message-queue');
+const OptInManager = require('./optin-manager');
+const StockHistory = require('./stock-history');
+const ItemCatalog = require('./item-catalog');
+const ItemMetadata = require('./item-metadata');
+const WeatherWatcher = require('./weather-watcher');
+const NotificationRelay = require('./notification-relay');
+const TelegramChannel = require('./telegram-channel');
+const DiscordChannel = require('./discord-channel');
+const {
+    parseRule,
+    getConditions,
+    formatRule,
+    evaluateCondition,
+    evaluateRule,
+    ITEM_FIELDS
+} = require('./alert-rules');
 const {
     isRateLimited,
     updateRateLimits,
     trackSentMessage,
     isRecentlySentMessage,
-    getNextCheckTime
+    getNextCheckTime,
+    getNextRestockTime,
+    restockIntervals,
+    configureRestockIntervals,
+    getRestockCycle,
+    formatDuration,
+    parseDuration,
+    normalizeTimeZone,
+    formatTime,
+    parseClockTime,
+    isWithinTimeWindow,
+    getTimeUntilClockTime,
+    splitMessage,
+    buildQuickReplies,
+    buildGenericTemplate,
+    formatItemSummary,
+    WILDCARD_ITEM,
+    categoryColors,
+    rarityTiers,
+    setItemMetadataLookup,
+    getItemRarity,
+    formatItemName,
+    formatAlertRule,
+    diffStockItems,
+    toItemId,
+    isRecipientUnavailableError,
+    verifyRequestSignature,
+    getAppSecretProof
 } = require('./utils');
 require('dotenv').config();
 
 const app = express();
-app.use(bodyParser.json());
+
+// Behind the Heroku router (see Procfile) req.ip would be the router's address, so take
+// the client from X-Forwarded-For; TRUST_PROXY=0 when nothing sits in front of the app
+const trustProxy = process.env.TRUST_PROXY || '1';
+app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+
+app.use(bodyParser.json({
+    // Keep the raw payload around so the webhook signature can be verified
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 
 // Environment variables
 const PAGE_ACCESS_TOKEN = process.env.PAGE_ACCESS_TOKEN;
 const VERIFY_TOKEN = process.env.VERIFY_TOKEN;
+const APP_SECRET = process.env.APP_SECRET;
 const ADMIN_ID = process.env.ADMIN_ID;
 const API_ENDPOINT = process.env.API_ENDPOINT;
 const PORT = process.env.PORT || 8080;
 const USER_ID = process.env.USER_ID || 'xreru';
+const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 
-if (!PAGE_ACCESS_TOKEN || !VERIFY_TOKEN || !ADMIN_ID || !API_ENDPOINT) {
+if (!PAGE_ACCESS_TOKEN || !VERIFY_TOKEN || !APP_SECRET || !ADMIN_ID || !API_ENDPOINT) {
     console.error('Error: Missing required environment variables. Please check your .env file.');
     process.exit(1);
 }
 
+// Anyone can post to /telegram/webhook, so the secret is what keeps forged updates out
+if (TELEGRAM_BOT_TOKEN && !process.env.TELEGRAM_WEBHOOK_SECRET) {
+    console.error('Error: TELEGRAM_WEBHOOK_SECRET is required when TELEGRAM_BOT_TOKEN is set. Please check your .env file.');
+    process.exit(1);
+}
+
+const GRAPH_API_URL = 'https://graph.facebook.com/v18.0';
+
+// Proof that Graph API calls come from our app (see "Securing Graph API Requests")
+const APP_SECRET_PROOF = getAppSecretProof(PAGE_ACCESS_TOKEN, APP_SECRET);
+
 // Initialize managers
 const apiClient = new APIClient(API_ENDPOINT);
 const websocketManager = new WebSocketManager(
@@ -39,6 +151,63 @@ const websocketManager = new WebSocketManager(
     () => console.log('⚠️ WebSocket disconnected - falling back to API polling')
 );
 const stockManager = new StockManager(apiClient, websocketManager);
+// Every distinct stock snapshot is kept for history lookups
+const stockHistory = new StockHistory();
+// Every item ever seen, used to validate alert items
+const itemCatalog = new ItemCatalog(process.env.ITEM_CATALOG_FILE || `${__dirname}/item-catalog.json`);
+
+const recordSnapshot = (data, source) => {
+    stockHistory.record(data, source);
+    itemCatalog.record(data).catch(error => {
+        console.error('❌ Error updating item catalog:', error.message);
+    });
+};
+websocketManager.onSnapshot = recordSnapshot;
+apiClient.onSnapshot = recordSnapshot;
+
+// Rarity, display names and emoji per item, edited by the admin with `meta`
+const itemMetadata = new ItemMetadata(process.env.ITEM_METADATA_FILE || `${__dirname}/item-metadata.json`);
+setItemMetadataLookup(itemId => itemMetadata.get(itemId));
+
+// Channels besides Messenger; their users are stored with a prefix (e.g. "tg:12345")
+// while Messenger ids stay as they are. Telegram is on when TELEGRAM_BOT_TOKEN is set;
+// Discord channels are registered by the admin with `discord connect`.
+const telegramChannel = TELEGRAM_BOT_TOKEN
+    ? new TelegramChannel(TELEGRAM_BOT_TOKEN, process.env.TELEGRAM_API_URL || undefined, process.env.TELEGRAM_WEBHOOK_SECRET)
+    : null;
+const discordChannel = new DiscordChannel();
+const channels = [telegramChannel, discordChannel].filter(Boolean);
+
+// The channel a user came from, or null for Messenger
+const findChannel = (userId) => channels.find(channel => channel.ownsUser(userId)) || null;
+
+// Only Messenger limits when alerts can be sent; other channels can always be messaged
+const canNotifyUser = (userId) => !!findChannel(userId) || optInManager.canNotify(userId);
+
+// Messenger users need to allow notification messages before alerts can reach them later
+const needsNotificationOptIn = (userId) => !findChannel(userId) && !optInManager.hasOptedIn(userId);
+
+// Current weather from API polls (every WEATHER_POLL_INTERVAL seconds) and WebSocket messages
+const weatherWatcher = new WeatherWatcher(apiClient, (parseInt(process.env.WEATHER_POLL_INTERVAL, 10) || 60) * 1000);
+websocketManager.onWeatherUpdate = (data) => weatherWatcher.update(data, 'websocket');
+weatherWatcher.onEventStart = (event) => notifyWeatherSubscribers(event, true);
+weatherWatcher.onEventEnd = (event) => notifyWeatherSubscribers(event, false);
+
+// Upstream game notifications, relayed to `news on` users; with NEWS_REVIEW_MODE the admin approves each one first
+const notificationRelay = new NotificationRelay(
+    apiClient,
+    (parseInt(process.env.NOTIFICATIONS_POLL_INTERVAL, 10) || 120) * 1000,
+    process.env.NEWS_REVIEW_MODE === 'true'
+);
+notificationRelay.onNotification = (notification) => relayUpstreamNotification(notification);
+notificationRelay.onPending = (notification) => requestNotificationReview(notification);
+
+// How many upcoming restocks `predict` lists
+const DEFAULT_PREDICT_RESTOCKS = 5;
+const MAX_PREDICT_RESTOCKS = 12;
+
+// Messenger notification-messages opt-ins used for alerts outside the 24-hour window
+const optInManager = new OptInManager(process.env.NOTIFICATION_FREQUENCY || 'DAILY');
 
 // Override stock manager's WebSocket handlers to use our functions
 stockManager.setupWebSocketHandlers = function () {
@@ -59,6 +228,54 @@ const rateLimitConfig = {
     messageTimestamps: new Map()
 };
 
+// Rate limits for GET /predict, per client IP
+const predictRateLimitConfig = {
+    globalCommandCooldown: new Map(),
+    dailyCommandLimit: 1000,
+    messageRateLimit: 30,
+    messageRateWindow: 60 * 1000,
+    lastCommandTime: new Map(),
+    dailyCommandCount: new Map(),
+    lastCommandReset: new Map(),
+    messageCounts: new Map(),
+    messageTimestamps: new Map()
+};
+
+// Predictions only change when new snapshots come in, so the endpoint reuses them for a minute
+const PREDICT_CACHE_TTL = 60 * 1000;
+const predictionCache = new Map();
+
+// Outbound message queue configuration
+const messageQueueConfig = {
+    concurrency: 5,
+    ratePerSecond: 20,
+    maxAttempts: 5,
+    baseDelay: 1000,
+    maxDelay: 60 * 1000
+};
+
+// Auto-unsubscribe after this many consecutive "can't be messaged" failures
+const UNSUBSCRIBE_AFTER_FAILURES = parseInt(process.env.UNSUBSCRIBE_AFTER_FAILURES, 10) || 3;
+const deliveryFailureCounts = new Map();
+
+// Users auto-unsubscribed since the last admin report
+const pendingDeactivationReport = [];
+let deactivationReportTimer = null;
+const DEACTIVATION_REPORT_DELAY = 60 * 1000; // 1 minute
+
+// How often to look for opt-in tokens that are about to expire
+const REOPTIN_CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+// How often to look for users whose quiet hours have ended
+const QUIET_HOURS_CHECK_INTERVAL = 60 * 1000; // 1 minute
+const HELD_ALERT_MAX_AGE = 24 * 60 * 60 * 1000; // Older held alerts are dropped, not summarised
+let releasingHeldAlerts = false;
+
+// How often to look for snoozes that have run out, and the longest snooze allowed
+const SNOOZE_CHECK_INTERVAL = 60 * 1000; // 1 minute
+const MAX_SNOOZE = 30 * 24 * 60 * 60 * 1000; // 30 days
+let endingSnoozes = false;
+
 // Cooldown tracking
 const lastCheckTime = new Map();
 const COOLDOWN_TIME = 5 * 60 * 1000; // 5 minutes
@@ -70,15 +287,13 @@ const MESSAGE_TRACKING_DURATION = 30 * 1000; // 30 seconds
 // Scheduled check tracking
 let lastScheduledCheck = 0;
 
-// Format item name for display
-const formatItemName = (itemId) => {
-    if (!itemId) return 'Unknown Item';
-
-    // Convert snake_case to Title Case
-    return itemId
-        .split('_')
-        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-        .join(' ');
+// Webhook signature metrics
+const webhookMetrics = {
+    received: 0,
+    verified: 0,
+    rejectedMissing: 0,
+    rejectedInvalid: 0,
+    lastRejectedAt: null
 };
 
 // Friendly category labels
@@ -99,16 +314,197 @@ const defaultAlerts = {
     //eventshop_stock: ['bee_egg', 'honey_sprinkler', 'nectar_staff']
 };
 
+// Default alerts in the same shape as getUserAlerts: no quantity thresholds
+const defaultAlertRules = Object.fromEntries(Object.entries(defaultAlerts)
+    .map(([category, itemIds]) => [category, itemIds.map(itemId => ({ itemId, minQuantity: null }))]));
+
+// Rarity rules live in subscriber_alerts under this category, with the tier as item id
+const RARITY_CATEGORY = 'rarity';
+
+// Labels for alert categories, including the rarity pseudo-category
+const alertCategoryNames = {
+    ...categoryNames,
+    [RARITY_CATEGORY]: '💎 Rarity'
+};
+
+// An item matches a rule when it is the watched item (or the rule is a
+// wildcard) and meets the minimum quantity
+const matchesAlertRule = (item, rule) => {
+    if (rule.itemId !== WILDCARD_ITEM && rule.itemId !== item.item_id) return false;
+    return rule.minQuantity == null || (item.quantity ?? 0) >= rule.minQuantity;
+};
+
+// Rarity rules match any item, in any category, tagged with that tier
+const matchesRarityRule = (item, rule) => {
+    if (getItemRarity(item.item_id) !== rule.itemId) return false;
+    return rule.minQuantity == null || (item.quantity ?? 0) >= rule.minQuantity;
+};
+
+// Urgent rules get through quiet hours
+const isUrgentItem = (alertRules, category, item) => {
+    return (alertRules[category] || []).some(rule => rule.urgent && matchesAlertRule(item, rule)) ||
+        (alertRules[RARITY_CATEGORY] || []).some(rule => rule.urgent && matchesRarityRule(item, rule));
+};
+
+// A snooze covers everything ('*' category), a whole category ('*' item) or one item
+const isSnoozed = (snoozes, category, itemId) => {
+    return snoozes.some(snooze =>
+        (snooze.category === WILDCARD_ITEM || snooze.category === category) &&
+        (snooze.item_id === WILDCARD_ITEM || snooze.item_id === itemId));
+};
+
+// Snoozes that haven't run out yet (expired ones wait for their confirmation)
+const getActiveSnoozes = async (userId) => {
+    const now = Date.now();
+    return (await getSnoozes(userId)).filter(snooze => new Date(snooze.snoozed_until).getTime() > now);
+};
+
+// What a snooze covers, e.g. "Kiwi in 🌱 Seeds"
+const describeSnooze = (snooze) => {
+    if (snooze.category === WILDCARD_ITEM) return 'all alerts';
+    const categoryName = categoryNames[snooze.category] || snooze.category;
+    return snooze.item_id === WILDCARD_ITEM
+        ? `everything in ${categoryName}`
+        : `${formatItemName(snooze.item_id)} in ${categoryName}`;
+};
+
+// Most conditional rules (see alert-rules.js) one user can have
+const MAX_ALERT_RULES = 10;
+
+// "seed" or "seed_stock" -> "seed_stock", or null for anything else
+const resolveCategory = (name) => categoryAlias[name] || (categoryNames[name] ? name : null);
+
+// A user's conditional rules, parsed; rules that no longer parse are skipped
+const getUserRules = async (userId) => {
+    const rows = await getAlertRules(userId);
+    return rows.map(row => {
+        try {
+            return { id: row.id, expression: row.expression, ast: parseRule(row.expression, resolveCategory) };
+        } catch (error) {
+            console.warn(`⚠️ Skipping unparseable rule #${row.id} for ${userId}: ${error.message}`);
+            return null;
+        }
+    }).filter(Boolean);
+};
+
+// What conditional rules are evaluated against besides the item
+const getRuleContext = (timeZone, now = Date.now()) => ({
+    activeWeather: weatherWatcher.getActive().map(event => event.id),
+    timeZone,
+    now
+});
+
+// Most items one add/remove command can take
+const MAX_BULK_ALERTS = 20;
+
+// "remove seed any" removes the "add seed *" rule alone; "remove seed *" clears the category
+const WILDCARD_RULE_NAME = 'any';
+
+// Split "bell pepper >=5" into the item name and its optional quantity threshold
+const parseItemAndThreshold = (text) => {
+    const match = (text || '').match(/>=\s*(\d+)\s*$/);
+    return {
+        name: (match ? text.slice(0, match.index) : text || '').trim(),
+        minQuantity: match ? parseInt(match[1], 10) : null
+    };
+};
+
+// Category alias mapping for better UX
+const categoryAlias = {
+    egg: 'egg_stock',
+    seed: 'seed_stock',
+    gear: 'gear_stock',
+    eventshop: 'eventshop_stock',
+    cosmetic: 'cosmetic_stock',
+    eggs: 'egg_stock',
+    seeds: 'seed_stock',
+    gears: 'gear_stock',
+    eventshops: 'eventshop_stock',
+    cosmetics: 'cosmetic_stock'
+};
+
+// Restock cadences in minutes, e.g. RESTOCK_INTERVALS=seed:5,gear:5,egg:30,eventshop:30
+const parseRestockIntervals = (value) => {
+    const overrides = {};
+
+    for (const entry of (value || '').split(',')) {
+        const [name, minutes] = entry.split(':').map(part => part && part.trim().toLowerCase());
+        const category = categoryAlias[name] || name;
+        const interval = parseFloat(minutes) * 60 * 1000;
+
+        if (!categoryNames[category] || !Number.isFinite(interval) || interval <= 0) {
+            if (entry.trim()) console.warn(`⚠️ Ignoring invalid RESTOCK_INTERVALS entry "${entry.trim()}"`);
+            continue;
+        }
+        overrides[category] = interval;
+    }
+
+    return overrides;
+};
+
+configureRestockIntervals(parseRestockIntervals(process.env.RESTOCK_INTERVALS));
+
+// Timezone for users who haven't set one
+const DEFAULT_TIMEZONE = normalizeTimeZone(process.env.DEFAULT_TIMEZONE || 'Asia/Manila') || 'UTC';
+
+const getUserTimeZone = async (userId) => {
+    const preferences = await getUserPreferences(userId);
+    return preferences.timezone || DEFAULT_TIMEZONE;
+};
+
+// Whether a user's quiet hours are on right now
+const isQuietTime = (preferences, time = Date.now()) => {
+    if (!preferences.quiet_start || !preferences.quiet_end) return false;
+    return isWithinTimeWindow(preferences.quiet_start, preferences.quiet_end, preferences.timezone || DEFAULT_TIMEZONE, time);
+};
+
+// Full date and time in a timezone, e.g. "10/19/2026, 6:20:00 PM"
+const formatDateTime = (date, timeZone) => date.toLocaleString('en-US', { timeZone });
+
+// Shortcuts offered as quick replies after most replies
+const mainMenuQuickReplies = [
+    { title: '📦 All Stock', payload: 'all' },
+    { title: '🔍 Check Alerts', payload: 'stock' },
+    { title: '🔔 My Alerts', payload: 'myalerts' },
+    { title: '➕ Add Alert', payload: 'add' },
+    { title: '❓ Help', payload: 'help' }
+];
+
+// Drop quick replies that repeat an earlier payload
+const uniqueQuickReplies = (replies) => {
+    return replies.filter((reply, index) => replies.findIndex(other => other.payload === reply.payload) === index);
+};
+
+const categoryQuickReplies = (command) => [
+    { title: '🌱 Seeds', payload: `${command} seed` },
+    { title: '🛠️ Gear', payload: `${command} gear` },
+    { title: '🥚 Eggs', payload: `${command} egg` },
+    { title: '🎪 Event Shop', payload: `${command} eventshop` }
+];
+
+// Persistent menu and Get Started button registered with the Messenger Profile API
+const messengerProfile = {
+    get_started: { payload: 'GET_STARTED' },
+    persistent_menu: [
+        {
+            locale: 'default',
+            composer_input_disabled: false,
+            call_to_actions: [
+                { type: 'postback', title: '📦 All Stock', payload: 'all' },
+                { type: 'postback', title: '🔍 Check My Alert Items', payload: 'stock' },
+                { type: 'postback', title: '🔔 My Alerts', payload: 'myalerts' },
+                { type: 'postback', title: '➕ Add Alert', payload: 'add' },
+                { type: 'postback', title: '❓ Help', payload: 'help' }
+            ]
+        }
+    ]
+};
+
 // Broadcast tracking to prevent spam
 const recentBroadcasts = new Map();
 const BROADCAST_COOLDOWN = 30 * 1000; // 30 seconds between broadcasts
 const BROADCAST_MESSAGE_TRACKING_DURATION = 60 * 1000; // 1 minute
 
-// Track last seen items for 30-min restock categories
-const lastSeenStock = new Map();
-// Track last check time for 30-min categories
-const lastCheckTime30Min = new Map();
-
 // Initialize application
 const initializeApp = async () => {
     try {
@@ -117,6 +513,20 @@ const initializeApp = async () => {
         stockManager.setSubscribers(subscribers);
         console.log(`📋 Loaded ${subscribers.length} subscribers from database`);
 
+        // Pick up consecutive delivery failures recorded before the restart
+        const failureCounts = await getSubscriberFailureCounts();
+        failureCounts.forEach((count, userId) => deliveryFailureCounts.set(userId, count));
+
+        await optInManager.loadTokens();
+        await optInManager.loadInteractions();
+        await stockHistory.init();
+        await itemMetadata.load();
+        await itemCatalog.init(defaultAlerts);
+        await discordChannel.load();
+
+        // Resume outbound messages left over from the last run
+        await messageQueue.restore();
+
         // Set up WebSocket handlers to use our sendMessage function
         websocketManager.onStockUpdate = async (data) => {
             console.log('📦 WebSocket stock update received, sending immediate alerts...');
@@ -140,6 +550,19 @@ const initializeApp = async () => {
             }
         };
 
+        // Register persistent menu and Get Started button (non-fatal)
+        await setupMessengerProfile();
+
+        // Point Telegram at our webhook when a public URL is configured (non-fatal)
+        if (telegramChannel && process.env.TELEGRAM_WEBHOOK_URL) {
+            try {
+                await telegramChannel.setWebhook(process.env.TELEGRAM_WEBHOOK_URL);
+                console.log(`✅ Telegram webhook set to ${process.env.TELEGRAM_WEBHOOK_URL}`);
+            } catch (error) {
+                console.error('❌ Error setting Telegram webhook:', error.message);
+            }
+        }
+
         // Start WebSocket connection
         console.log('🔌 Initializing WebSocket connection...');
         websocketManager.connect();
@@ -153,6 +576,21 @@ const initializeApp = async () => {
         // Schedule periodic checks as backup
         scheduleNextCheck();
 
+        // Watch for weather events starting and ending
+        weatherWatcher.start();
+
+        // Pick up new upstream game notifications
+        notificationRelay.start();
+
+        // Remind users to renew their alert opt-in before it expires
+        setInterval(promptExpiringOptIns, REOPTIN_CHECK_INTERVAL);
+
+        // Send the summary of held alerts once a user's quiet hours end
+        setInterval(releaseHeldAlerts, QUIET_HOURS_CHECK_INTERVAL);
+
+        // Let users know when a snooze has run out
+        setInterval(endExpiredSnoozes, SNOOZE_CHECK_INTERVAL);
+
     } catch (err) {
         console.error('Error initializing app:', err);
         process.exit(1);
@@ -160,35 +598,210 @@ const initializeApp = async () => {
 };
 
 // Facebook Messenger API functions
-const sendMessage = async (recipientId, message) => {
+const callSendAPI = async (body) => {
+    const response = await fetch(`${GRAPH_API_URL}/me/messages?access_token=${PAGE_ACCESS_TOKEN}&appsecret_proof=${APP_SECRET_PROOF}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        console.error('❌ Error sending message:', errorData);
+
+        // Keep the Graph error code so the queue can tell retryable failures apart
+        const error = new Error(`Facebook API error: ${response.status}${errorData.error?.message ? ` - ${errorData.error.message}` : ''}`);
+        error.status = response.status;
+        error.code = errorData.error?.code;
+        error.subcode = errorData.error?.error_subcode;
+        throw error;
+    }
+
+    return true;
+};
+
+const deliverMessage = async (recipientId, message, options = {}) => {
+    try {
+        const channel = findChannel(recipientId);
+        if (channel) {
+            await channel.send(recipientId, message, options);
+            console.log(`📤 Message sent to ${recipientId} via ${channel.label}`);
+            return true;
+        }
+
+        // Replies go out as RESPONSE; alerts use the opt-in token once the 24-hour window has closed
+        const target = optInManager.getDeliveryTarget(recipientId, options.notification);
+        if (!target) {
+            const error = new Error(`No notification opt-in for ${recipientId} outside the 24-hour window`);
+            error.code = 'NO_OPT_IN';
+            throw error;
+        }
+
+        const quickReplies = options.quickReplies?.length ? buildQuickReplies(options.quickReplies) : null;
+        const messageBody = options.attachment ? { attachment: options.attachment } : { text: message };
+        if (quickReplies) messageBody.quick_replies = quickReplies;
+
+        try {
+            await callSendAPI({ ...target, message: messageBody });
+        } catch (error) {
+            // Code 100 (invalid parameter) is what a template the recipient can't render comes back as
+            if (!options.attachment || error.code !== 100) throw error;
+
+            console.warn(`⚠️ Template rejected for ${recipientId}, falling back to plain text`);
+            const parts = splitMessage(message);
+            for (let i = 0; i < parts.length; i++) {
+                const textBody = { text: parts[i] };
+                if (quickReplies && i === parts.length - 1) textBody.quick_replies = quickReplies;
+                await callSendAPI({ ...target, message: textBody });
+            }
+        }
+
+        console.log(`📤 Message sent to ${recipientId}`);
+        return true; // Return true on success
+    } catch (error) {
+        console.error('❌ Error sending message:', error.message);
+        throw error;
+    }
+};
+
+const messageQueue = new MessageQueue(deliverMessage, messageQueueConfig);
+
+// Reset the failure streak once a message gets through
+messageQueue.onDelivered = (recipientId) => {
+    if (!deliveryFailureCounts.has(recipientId)) return;
+
+    deliveryFailureCounts.delete(recipientId);
+    setSubscriberFailureCount(recipientId, 0);
+};
+
+messageQueue.onFailed = async (recipientId, error) => {
     try {
+        if (!isRecipientUnavailableError(error) || !stockManager.subscribers.has(recipientId)) return;
+
+        const failureCount = (deliveryFailureCounts.get(recipientId) || 0) + 1;
+        deliveryFailureCounts.set(recipientId, failureCount);
+        console.warn(`⚠️ Subscriber ${recipientId} can't be messaged (code ${error.code}), failure ${failureCount}/${UNSUBSCRIBE_AFTER_FAILURES}`);
+
+        if (failureCount < UNSUBSCRIBE_AFTER_FAILURES) {
+            await setSubscriberFailureCount(recipientId, failureCount, error.message);
+            return;
+        }
+
+        await deactivateSubscriber(recipientId, error.message);
+        stockManager.removeSubscriber(recipientId);
+        deliveryFailureCounts.delete(recipientId);
+        console.log(`🚫 Auto-unsubscribed ${recipientId} after ${failureCount} failed deliveries`);
+
+        reportDeactivation(recipientId, error);
+    } catch (err) {
+        console.error(`❌ Error tracking delivery failure for ${recipientId}:`, err.message);
+    }
+};
+
+// Batch auto-unsubscribes into one admin report so a big fan-out doesn't spam the admin
+const reportDeactivation = (userId, error) => {
+    pendingDeactivationReport.push({ userId, reason: error.message, code: error.code });
+    if (deactivationReportTimer) return;
+
+    deactivationReportTimer = setTimeout(async () => {
+        deactivationReportTimer = null;
+        const deactivated = pendingDeactivationReport.splice(0);
+
+        const lines = deactivated.map(({ userId, reason, code }) => `• ${userId} (code ${code}): ${reason}`);
+        try {
+            await sendMessage(ADMIN_ID, `🚫 Auto-unsubscribed ${deactivated.length} user(s) who can no longer be messaged\n\n${lines.join('\n')}`, {
+                notification: true
+            });
+        } catch (err) {
+            console.error('❌ Error sending deactivation report:', err.message);
+        }
+    }, DEACTIVATION_REPORT_DELAY);
+};
+
+// Queue a message for delivery; resolves true once sent, rejects if it permanently fails.
+// With options.attachment the text is only used as the plain-text fallback.
+const sendMessage = async (recipientId, message, options = {}) => {
+    // Other channels drop Messenger attachments and send the text, so it still has to fit their limit
+    const channel = findChannel(recipientId);
+    const parts = options.attachment && !channel ? [message] : splitMessage(message, channel?.maxMessageLength);
+
+    // Long messages go out part by part, each one queued only after the previous was delivered
+    for (let i = 0; i < parts.length; i++) {
+        const isLastPart = i === parts.length - 1;
+
         // Track sent message to prevent loops
-        trackSentMessage(message, recentlySentMessages, MESSAGE_TRACKING_DURATION);
+        trackSentMessage(parts[i], recentlySentMessages, MESSAGE_TRACKING_DURATION);
+
+        await messageQueue.enqueue(recipientId, parts[i], {
+            ...options,
+            // Buttons, quick replies and embeds only make sense under the final part
+            attachment: isLastPart ? options.attachment : undefined,
+            quickReplies: isLastPart ? options.quickReplies : undefined,
+            embeds: isLastPart ? options.embeds : undefined
+        });
+    }
+
+    return true;
+};
+
+// Subscribe a user in both the database and the in-memory set
+const subscribeUser = async (userId) => {
+    await addSubscriber(userId);
+    stockManager.addSubscriber(userId);
+};
+
+// Guided onboarding for first-time users
+const onboardingManager = new OnboardingManager(stockManager, sendMessage, async (userId) => {
+    await subscribeUser(userId);
+    if (needsNotificationOptIn(userId)) {
+        await requestNotificationOptIn(userId);
+    }
+});
+
+// Ask the user for permission to send alerts outside the 24-hour window
+const requestNotificationOptIn = async (userId) => {
+    await sendMessage(userId, '🔔 Allow stock alert notifications', {
+        attachment: optInManager.buildOptInRequest()
+    });
+};
+
+const promptExpiringOptIns = async () => {
+    const expiring = optInManager.getTokensNeedingReoptin();
+
+    for (const { userId, expiresAt } of expiring) {
+        try {
+            await sendMessage(userId, `⏳ Your stock alert permission expires on ${new Date(expiresAt).toLocaleDateString()}.\n\n` +
+                `Reply \`renew\` to keep getting alerts.`, { notification: true, priority: 'low' });
+            await optInManager.markReoptinPrompted(userId);
+        } catch (error) {
+            console.error(`❌ Failed to send re-opt-in prompt to ${userId}:`, error.message);
+        }
+    }
+};
 
-        const response = await fetch(`https://graph.facebook.com/v18.0/me/messages?access_token=${PAGE_ACCESS_TOKEN}`, {
+const setupMessengerProfile = async () => {
+    try {
+        const response = await fetch(`${GRAPH_API_URL}/me/messenger_profile?access_token=${PAGE_ACCESS_TOKEN}&appsecret_proof=${APP_SECRET_PROOF}`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify({
-                recipient: { id: recipientId },
-                message: { text: message },
-                messaging_type: 'MESSAGE_TAG',
-                tag: 'ACCOUNT_UPDATE'
-            })
+            body: JSON.stringify(messengerProfile)
         });
 
         if (!response.ok) {
             const errorData = await response.json();
-            console.error('❌ Error sending message:', errorData);
-            throw new Error(`Facebook API error: ${response.status}`);
+            console.error('❌ Error setting up Messenger profile:', errorData);
+            return false;
         }
 
-        console.log(`📤 Message sent to ${recipientId}`);
-        return true; // Return true on success
+        console.log('✅ Messenger persistent menu and Get Started button registered');
+        return true;
     } catch (error) {
-        console.error('❌ Error sending message:', error.message);
-        throw error;
+        console.error('❌ Error setting up Messenger profile:', error.message);
+        return false;
     }
 };
 
@@ -197,8 +810,7 @@ const scheduleNextCheck = () => {
     const nextCheck = getNextCheckTime();
     const delay = nextCheck.getTime() - Date.now();
 
-    const phNextCheck = new Date(nextCheck.getTime() + (8 * 60 * 60 * 1000));
-    console.log(`⏰ Next scheduled check at: ${phNextCheck.toISOString()}`);
+    console.log(`⏰ Next scheduled check at: ${nextCheck.toISOString()}`);
 
     setTimeout(async () => {
         const currentTime = Date.now();
@@ -250,8 +862,7 @@ const checkStock = async (senderId, isScheduled = false) => {
         }
 
         // Get stock data from API
-        const response = await apiClient.get('/v2/growagarden/stock');
-        const data = response.data;
+        const data = await apiClient.getStock();
 
         if (!data) {
             throw new Error('No data received from API');
@@ -298,15 +909,46 @@ const checkStock = async (senderId, isScheduled = false) => {
 
 // Helper function to check stock for a specific user
 const checkStockForUser = async (userId, data, isScheduled = false) => {
-    // Get user's custom alerts or use defaults
-    let alertsToCheck = defaultAlerts;
+    // Alerts need an open 24-hour window or a notification opt-in
+    if (isScheduled && !canNotifyUser(userId)) {
+        console.log(`🔕 Skipping alert for ${userId}: no notification opt-in`);
+        return;
+    }
+
+    // Snoozed alerts stay configured but aren't sent until the snooze runs out;
+    // manual checks always show everything
+    const activeSnoozes = isScheduled ? await getActiveSnoozes(userId) : [];
+    if (activeSnoozes.some(snooze => snooze.category === WILDCARD_ITEM)) {
+        console.log(`😴 Skipping alert for ${userId}: all alerts snoozed`);
+        return;
+    }
+
+    // Get user's custom alerts or use defaults; conditional rules count as custom alerts too
+    let alertsToCheck = defaultAlertRules;
     const userAlerts = await getUserAlerts(userId);
-    if (userAlerts && Object.keys(userAlerts).length > 0) {
-        alertsToCheck = userAlerts;
+    const conditionalRules = await getUserRules(userId);
+    const hasCustomAlerts = (userAlerts && Object.keys(userAlerts).length > 0) || conditionalRules.length > 0;
+    if (hasCustomAlerts) {
+        alertsToCheck = userAlerts || {};
     }
 
-    let allFoundItems = [];
-    let hasNewSeedOrGear = false;
+    const preferences = await getUserPreferences(userId);
+    const ruleContext = getRuleContext(preferences.timezone || DEFAULT_TIMEZONE);
+
+    // Diff mode compares against the items the user was last alerted about;
+    // manual checks always list everything
+    const diffMode = isScheduled && preferences.notification_mode === 'diff';
+
+    const foundByCategory = {};
+    const changesByCategory = {};
+
+    // Scheduled alerts are deduplicated per user and category against the
+    // restock cycle they were last alerted about; manual checks show everything
+    const now = Date.now();
+    const notificationStates = isScheduled ? await getNotificationStates(userId) : {};
+    const updatedStates = [];
+    // Diff states that only changed in snoozed items: saved, but nothing to send
+    const snoozedStates = [];
 
     // Check all categories at once and gather all available items
     for (let category of ['seed_stock', 'gear_stock', 'egg_stock', 'eventshop_stock']) {
@@ -315,57 +957,153 @@ const checkStockForUser = async (userId, data, isScheduled = false) => {
             continue;
         }
 
-        const matches = data[category]?.filter(item =>
-            item && item.item_id && alertsToCheck[category]?.includes(item.item_id)
+        const rules = alertsToCheck[category] || [];
+        const rarityRules = alertsToCheck[RARITY_CATEGORY] || [];
+        const isAwake = (item) => !isSnoozed(activeSnoozes, category, item.item_id);
+        const allMatches = data[category].filter(item =>
+            item && item.item_id && (
+                rules.some(rule => matchesAlertRule(item, rule)) ||
+                rarityRules.some(rule => matchesRarityRule(item, rule)) ||
+                conditionalRules.some(rule => evaluateRule(rule.ast, { ...item, category }, ruleContext))
+            )
         );
+        const matches = allMatches.filter(isAwake);
 
-        if (matches?.length) {
-            // For seed and gear, always include
-            if (category === 'seed_stock' || category === 'gear_stock') {
-                hasNewSeedOrGear = true;
-                allFoundItems.push(...matches.map(i => `${categoryNames[category]} • ${formatItemName(i.item_id)}`));
-            } else {
-                // For egg and eventshop, check if they're new or if there are new seed/gear items
-                const currentItems = new Set(matches.map(i => i.item_id));
-                const lastSeen = lastSeenStock.get(category) || new Set();
-                const lastCheck = lastCheckTime30Min.get(category) || 0;
-                const now = Date.now();
-
-                // Check if it's been 30 minutes since last check
-                const is30MinInterval = (now - lastCheck) >= 30 * 60 * 1000;
-
-                // Check if there are any new items
-                const hasNewItems = [...currentItems].some(item => !lastSeen.has(item));
-
-                // Only include if:
-                // 1. There are new seed/gear items, OR
-                // 2. It's a new 30-min restock (has new items and 30 mins passed)
-                if (hasNewItems || hasNewSeedOrGear) {
-                    allFoundItems.push(...matches.map(i => `${categoryNames[category]} • ${formatItemName(i.item_id)}`));
-
-                    if (is30MinInterval) {
-                        lastCheckTime30Min.set(category, now);
+        // In diff mode a category with no matches can still have removed items
+        if (!matches.length && !diffMode) continue;
+
+        // Items below a threshold don't count as seen, so a later quantity
+        // increase within the same restock still alerts
+        if (isScheduled) {
+            const currentItems = [...new Set(matches.map(i => i.item_id))];
+            const restockCycle = getRestockCycle(category, now);
+            const lastState = notificationStates[category];
+            const items = matches.map(i => ({ item_id: i.item_id, quantity: i.quantity ?? null }));
+
+            if (diffMode) {
+                // Snoozed items stay in the saved state and are only left out of what is sent,
+                // so a snooze doesn't read as a removal now and an arrival when it ends
+                const allChanges = diffStockItems(lastState?.items || [], allMatches);
+                const removed = allChanges.removed.filter(isAwake);
+
+                // An item can stop matching while still in stock, usually by dropping below
+                // the alert's quantity threshold; that isn't the same as it being gone
+                const inStock = new Map(data[category].filter(i => i && i.item_id).map(i => [i.item_id, i]));
+                const changes = {
+                    added: allChanges.added.filter(isAwake),
+                    removed: removed.filter(item => !inStock.has(item.item_id)),
+                    unmatched: removed
+                        .filter(item => inStock.has(item.item_id))
+                        .map(item => ({
+                            item_id: item.item_id,
+                            previousQuantity: item.quantity ?? null,
+                            quantity: inStock.get(item.item_id).quantity ?? null
+                        })),
+                    changed: allChanges.changed.filter(isAwake)
+                };
+                const state = {
+                    category,
+                    restockCycle,
+                    itemIds: [...new Set(allMatches.map(i => i.item_id))],
+                    items: allMatches.map(i => ({ item_id: i.item_id, quantity: i.quantity ?? null }))
+                };
+
+                if (!changes.added.length && !removed.length && !changes.changed.length) {
+                    if (allChanges.added.length || allChanges.removed.length || allChanges.changed.length) {
+                        snoozedStates.push(state);
                     }
+                    continue;
                 }
 
-                // Always update last seen items
-                lastSeenStock.set(category, currentItems);
+                changesByCategory[category] = changes;
+                updatedStates.push(state);
+                if (matches.length) foundByCategory[category] = matches;
+                continue;
             }
+
+            // Only alert on a new restock, or on items that showed up later in the same restock
+            const isNewCycle = !lastState || lastState.restockCycle !== restockCycle;
+            const newItems = isNewCycle
+                ? currentItems
+                : currentItems.filter(item => !lastState.itemIds.includes(item));
+
+            if (!newItems.length) continue;
+
+            updatedStates.push({
+                category,
+                restockCycle,
+                itemIds: isNewCycle ? currentItems : [...lastState.itemIds, ...newItems],
+                items
+            });
+        }
+
+        foundByCategory[category] = matches;
+    }
+
+    if (snoozedStates.length) await saveNotificationStates(userId, snoozedStates);
+
+    // Removals alone aren't worth a notification; they ride along with the next change
+    if (diffMode) {
+        const hasNewOrChanged = Object.values(changesByCategory)
+            .some(changes => changes.added.length || changes.changed.length);
+        if (!hasNewOrChanged) {
+            console.log(`✅ No stock changes to alert for subscriber ${userId}`);
+            return;
+        }
+    }
+
+    // During quiet hours only urgent items go out; the rest wait for the summary
+    const quietHours = isScheduled && isQuietTime(preferences, now);
+    if (quietHours) {
+        const heldItems = holdNonUrgentItems(alertsToCheck, foundByCategory, changesByCategory);
+        const releaseAt = new Date(now + getTimeUntilClockTime(preferences.quiet_end, preferences.timezone || DEFAULT_TIMEZONE, now));
+        await saveHeldAlerts(userId, heldItems, releaseAt);
+
+        if (!Object.keys(foundByCategory).length) {
+            await saveNotificationStates(userId, updatedStates);
+            console.log(`🌙 Held ${heldItems.length} item(s) for ${userId} during quiet hours`);
+            return;
         }
     }
 
-    if (allFoundItems.length) {
+    // Item names already carry their rarity badge
+    const allFoundItems = Object.entries(foundByCategory).flatMap(([category, matches]) =>
+        matches.map(i => `${categoryNames[category]} • ${formatItemSummary([i])}`));
+
+    if (allFoundItems.length || diffMode) {
         // Create single consolidated message with all available items
-        const message = `📦 Available Stock Alert!\n\n${allFoundItems.join('\n')}`;
+        const body = diffMode ? formatStockChanges(changesByCategory) : allFoundItems.join('\n');
+        const title = quietHours ? '🚨 Urgent Stock Alert' : diffMode ? '📦 Stock Changes' : '📦 Available Stock Alert!';
+        const message = `${title}\n\n${body}`;
+
+        // Rich mode renders one card per category, with the text as fallback;
+        // in diff mode the cards show what arrived or changed, not everything in stock
+        const cardItems = diffMode
+            ? Object.fromEntries(Object.entries(changesByCategory)
+                .map(([category, changes]) => [category, [...changes.added, ...changes.changed]])
+                .filter(([, items]) => items.length))
+            : foundByCategory;
+        const cards = buildAlertCards(cardItems, hasCustomAlerts, alertsToCheck);
+        let sendOptions = preferences.rich_messages && cards.length
+            ? { attachment: buildGenericTemplate(cards) }
+            : {};
+
+        // Discord channels get the title with one coloured embed per category instead
+        let alertText = message;
+        if (discordChannel.ownsUser(userId) && !diffMode && Object.keys(foundByCategory).length) {
+            sendOptions = { embeds: buildAlertEmbeds(foundByCategory) };
+            alertText = title;
+        }
 
         if (isScheduled) {
-            const sent = await sendMessage(userId, `🔔 ${message}`);
+            const sent = await sendMessage(userId, `🔔 ${alertText}`, { ...sendOptions, notification: true, priority: 'low' });
             if (!sent) {
                 throw new Error(`Failed to send alert to subscriber ${userId}`);
             }
-            console.log(`✅ Stock alert sent to ${userId} with ${allFoundItems.length} items`);
+            await saveNotificationStates(userId, updatedStates);
+            console.log(`✅ Stock alert sent to ${userId} with ${diffMode ? `changes in ${updatedStates.length} category(s)` : `${allFoundItems.length} items`}`);
         } else {
-            const sent = await sendMessage(userId, message);
+            const sent = await sendMessage(userId, alertText, sendOptions);
             if (!sent) {
                 console.error(`❌ Failed to send message to user ${userId}`);
             }
@@ -379,151 +1117,329 @@ const checkStockForUser = async (userId, data, isScheduled = false) => {
     }
 };
 
-// Command handlers
-const handleStockCommand = async (senderId) => {
-    try {
-        // Check rate limits
-        const rateLimitCheck = isRateLimited(senderId, rateLimitConfig);
-        if (rateLimitCheck.limited) {
-            await sendMessage(senderId, rateLimitCheck.message);
-            return;
-        }
+// Cut an alert down to its urgent items (in place) and return the rest to hold
+const holdNonUrgentItems = (alertRules, foundByCategory, changesByCategory) => {
+    const isUrgent = (category, item) => isUrgentItem(alertRules, category, item);
+    const heldItems = [];
+
+    for (const [category, matches] of Object.entries(foundByCategory)) {
+        // In diff mode only arrivals and quantity changes are worth a summary line
+        const changes = changesByCategory[category];
+        const candidates = changes ? [...changes.added, ...changes.changed] : matches;
+        heldItems.push(...candidates
+            .filter(item => !isUrgent(category, item))
+            .map(item => ({ category, item_id: item.item_id, quantity: item.quantity ?? null })));
+
+        const urgentMatches = matches.filter(item => isUrgent(category, item));
+        if (urgentMatches.length) foundByCategory[category] = urgentMatches;
+        else delete foundByCategory[category];
+    }
 
-        // Check cooldown
-        const lastCheck = lastCheckTime.get(senderId) || 0;
-        const timeSinceLastCheck = Date.now() - lastCheck;
+    for (const [category, changes] of Object.entries(changesByCategory)) {
+        const urgentChanges = {
+            added: changes.added.filter(item => isUrgent(category, item)),
+            removed: [],
+            unmatched: [],
+            changed: changes.changed.filter(item => isUrgent(category, item))
+        };
+        if (urgentChanges.added.length || urgentChanges.changed.length) changesByCategory[category] = urgentChanges;
+        else delete changesByCategory[category];
+    }
 
-        if (timeSinceLastCheck < COOLDOWN_TIME) {
-            const remainingTime = Math.ceil((COOLDOWN_TIME - timeSinceLastCheck) / 1000 / 60);
-            await sendMessage(senderId, `⏳ Please wait ${remainingTime} minute(s) before checking again.`);
-            return;
-        }
+    return heldItems;
+};
 
-        // Update tracking
-        lastCheckTime.set(senderId, Date.now());
-        updateRateLimits(senderId, rateLimitConfig);
+// One message for everything held during quiet hours: each item once, with how often it showed up
+const formatHeldSummary = (heldAlerts, timeZone) => {
+    const byCategory = new Map();
+    for (const row of heldAlerts) {
+        if (!byCategory.has(row.category)) byCategory.set(row.category, new Map());
+        const items = byCategory.get(row.category);
+        const count = (items.get(row.item_id)?.count || 0) + 1;
+        items.set(row.item_id, { item_id: row.item_id, quantity: row.quantity, count, lastSeen: new Date(row.held_at) });
+    }
 
-        // Use the checkStock function for manual checks
-        await checkStock(senderId, false);
+    const sections = [...byCategory].map(([category, items]) => {
+        const lines = [...items.values()].map(item => {
+            const seen = item.count > 1 ? `${item.count} times, last at` : 'at';
+            return `• ${formatItemSummary([item])} (${seen} ${formatTime(item.lastSeen, timeZone)})`;
+        });
+        return `${categoryNames[category] || category}\n${lines.join('\n')}`;
+    });
 
-    } catch (error) {
-        console.error('❌ Error in stock command:', error.message);
-        await sendMessage(senderId, '❌ Sorry, there was an error checking the stock. Please try again later.');
-    }
+    return `🌅 Quiet hours are over. Here's what was in stock meanwhile:\n\n${sections.join('\n\n')}`;
 };
 
-const handleAllStockCommand = async (senderId) => {
+// Send held alerts to every user whose quiet hours have ended
+const releaseHeldAlerts = async () => {
+    // A slow run (many users, retries) shouldn't overlap with the next one
+    if (releasingHeldAlerts) return;
+    releasingHeldAlerts = true;
+
     try {
-        const rateLimitCheck = isRateLimited(senderId, rateLimitConfig);
-        if (rateLimitCheck.limited) {
-            await sendMessage(senderId, rateLimitCheck.message);
-            return;
-        }
+        await deleteExpiredHeldAlerts(new Date(Date.now() - HELD_ALERT_MAX_AGE));
+        const userIds = await getHeldAlertUsers();
 
-        updateRateLimits(senderId, rateLimitConfig);
+        for (const userId of userIds) {
+            try {
+                // Nobody to summarise to, so the rows would only pile up
+                if (!stockManager.subscribers.has(userId) || !canNotifyUser(userId)) {
+                    await deleteHeldAlerts(userId);
+                    continue;
+                }
 
-        const message = await stockManager.getCurrentStock(senderId);
-        await sendMessage(senderId, message);
+                // Quiet hours moved since the alerts were held
+                const preferences = await getUserPreferences(userId);
+                if (isQuietTime(preferences)) continue;
+
+                const heldAlerts = await getHeldAlerts(userId);
+                if (!heldAlerts.length) continue;
 
+                const message = formatHeldSummary(heldAlerts, preferences.timezone || DEFAULT_TIMEZONE);
+                const sent = await sendMessage(userId, message, {
+                    notification: true,
+                    priority: 'low',
+                    quickReplies: mainMenuQuickReplies
+                });
+                if (sent) {
+                    await deleteHeldAlerts(userId, heldAlerts[heldAlerts.length - 1].id);
+                    console.log(`🌅 Sent quiet hours summary to ${userId} (${heldAlerts.length} held alert(s))`);
+                }
+            } catch (err) {
+                console.error(`❌ Failed to send quiet hours summary to ${userId}:`, err.message);
+            }
+        }
     } catch (error) {
-        console.error('❌ Error in all stock command:', error.message);
-        await sendMessage(senderId, '❌ Sorry, there was an error fetching the stock information.');
+        console.error('❌ Error releasing held alerts:', error.message);
+    } finally {
+        releasingHeldAlerts = false;
     }
 };
 
-const handleSubscribeCommand = async (senderId) => {
-    try {
-        const rateLimitCheck = isRateLimited(senderId, rateLimitConfig);
-        if (rateLimitCheck.limited) {
-            await sendMessage(senderId, rateLimitCheck.message);
-            return;
-        }
+// Weather and news are only worth sending as they happen, so quiet hours and
+// a full snooze skip them instead of holding them like stock alerts
+const canSendExtras = async (userId) => {
+    if (!stockManager.subscribers.has(userId) || !canNotifyUser(userId)) return false;
 
-        updateRateLimits(senderId, rateLimitConfig);
+    const preferences = await getUserPreferences(userId);
+    if (isQuietTime(preferences)) return false;
+
+    const snoozes = await getActiveSnoozes(userId);
+    return !snoozes.some(snooze => snooze.category === WILDCARD_ITEM);
+};
 
-        await addSubscriber(senderId);
-        stockManager.addSubscriber(senderId);
-        await sendMessage(senderId, '✅ You have been subscribed to stock alerts!');
+// Weather alerts and news only go to subscribers, so turning them on alone isn't enough
+const subscriptionNote = (userId, what) => stockManager.subscribers.has(userId)
+    ? { text: '', quickReplies: [] }
+    : {
+        text: `\n\nℹ️ ${what} only reach subscribers, and you aren't subscribed yet. Type subscribe to start getting them.`,
+        quickReplies: [{ title: '🔔 Subscribe', payload: 'subscribe' }]
+    };
 
+// Tell subscribed users that a weather event started or ended
+const notifyWeatherSubscribers = async (event, started) => {
+    try {
+        const userIds = await getWeatherSubscribers(event.id);
+        const message = started
+            ? `🌦️ ${event.name} has started!${event.endsAt ? ` It ends in ${formatDuration(event.endsAt.getTime() - Date.now())}.` : ''}`
+            : `🌤️ ${event.name} has ended.`;
+
+        const results = await Promise.allSettled(userIds.map(async (userId) => {
+            if (!(await canSendExtras(userId))) return false;
+            return sendMessage(userId, message, { notification: true, priority: 'low' });
+        }));
+
+        const sent = results.filter(result => result.status === 'fulfilled' && result.value).length;
+        console.log(`🌦️ Weather alert for ${event.name} ${started ? 'start' : 'end'} sent to ${sent} user(s)`);
     } catch (error) {
-        console.error('❌ Error in subscribe command:', error.message);
-        await sendMessage(senderId, '❌ Sorry, there was an error subscribing you to alerts.');
+        console.error('❌ Error sending weather alerts:', error.message);
     }
 };
 
-const handleUnsubscribeCommand = async (senderId) => {
+// Forward an upstream notification to everyone who turned on news
+const relayUpstreamNotification = async (notification) => {
     try {
-        const rateLimitCheck = isRateLimited(senderId, rateLimitConfig);
-        if (rateLimitCheck.limited) {
-            await sendMessage(senderId, rateLimitCheck.message);
-            return;
-        }
+        const userIds = await getNewsSubscribers();
+        const results = await Promise.allSettled(userIds.map(async (userId) => {
+            if (!(await canSendExtras(userId))) return false;
+            return sendMessage(userId, `📰 ${notification.message}`, { notification: true, priority: 'low' });
+        }));
+
+        const sent = results.filter(result => result.status === 'fulfilled' && result.value).length;
+        console.log(`📰 Upstream notification ${notification.id} relayed to ${sent} user(s)`);
+        return sent;
+    } catch (error) {
+        // Left queued, so the next poll tries again
+        console.error('❌ Error relaying upstream notification:', error.message);
+        return null;
+    }
+};
 
-        updateRateLimits(senderId, rateLimitConfig);
+// In review mode the admin gets each new notification with approve/reject buttons
+const requestNotificationReview = async (notification) => {
+    try {
+        await sendMessage(ADMIN_ID, `📰 New upstream notification waiting for review (${notification.id}):\n\n${notification.message}`, {
+            quickReplies: [
+                { title: '✅ Approve', payload: `news approve ${notification.id}` },
+                { title: '🗑️ Reject', payload: `news reject ${notification.id}` }
+            ]
+        });
+    } catch (error) {
+        console.error('❌ Error sending notification for review:', error.message);
+    }
+};
 
-        await removeSubscriber(senderId);
-        stockManager.removeSubscriber(senderId);
-        await sendMessage(senderId, '❌ You have been unsubscribed from stock alerts.');
+// Confirm ended snoozes, one message per user
+const endExpiredSnoozes = async () => {
+    if (endingSnoozes) return;
+    endingSnoozes = true;
+
+    try {
+        const expired = await getExpiredSnoozes();
+        const byUser = new Map();
+        for (const snooze of expired) {
+            if (!byUser.has(snooze.user_id)) byUser.set(snooze.user_id, []);
+            byUser.get(snooze.user_id).push(snooze);
+        }
+
+        for (const [userId, snoozes] of byUser) {
+            // The confirmation is best effort; the snooze ends either way
+            if (stockManager.subscribers.has(userId) && canNotifyUser(userId)) {
+                const message = snoozes.length === 1
+                    ? `⏰ Your snooze for ${describeSnooze(snoozes[0])} has ended. Alerts are back on.`
+                    : `⏰ Your snoozes have ended. Alerts are back on for:\n${snoozes.map(snooze => `• ${describeSnooze(snooze)}`).join('\n')}`;
+                try {
+                    await sendMessage(userId, message, { notification: true, priority: 'low' });
+                } catch (err) {
+                    console.error(`❌ Failed to send snooze confirmation to ${userId}:`, err.message);
+                }
+            }
 
+            for (const snooze of snoozes) await deleteExpiredSnooze(snooze);
+            console.log(`⏰ Ended ${snoozes.length} snooze(s) for ${userId}`);
+        }
     } catch (error) {
-        console.error('❌ Error in unsubscribe command:', error.message);
-        await sendMessage(senderId, '❌ Sorry, there was an error unsubscribing you from alerts.');
+        console.error('❌ Error ending snoozes:', error.message);
+    } finally {
+        endingSnoozes = false;
     }
 };
 
-const handleStatusCommand = async (senderId) => {
+// Diff alert body: arrivals, quantity changes, items no longer matching and removals per category
+const formatStockChanges = (changesByCategory) => {
+    return Object.entries(changesByCategory).map(([category, changes]) => {
+        const lines = [
+            ...changes.added.map(item => `🆕 ${formatItemSummary([item])}`),
+            ...changes.changed.map(item => `🔄 ${formatItemName(item.item_id)} x${item.previousQuantity ?? '?'} → x${item.quantity ?? '?'}`),
+            ...changes.unmatched.map(item => item.quantity != null && item.previousQuantity != null && item.quantity < item.previousQuantity
+                ? `📉 ${formatItemName(item.item_id)} x${item.previousQuantity} → x${item.quantity} (below your alert)`
+                : `➖ ${formatItemName(item.item_id)} (no longer matches your alert)`),
+            ...changes.removed.map(item => `➖ ${formatItemName(item.item_id)} (gone)`)
+        ];
+        return `${categoryNames[category] || category}\n${lines.join('\n')}`;
+    }).join('\n\n');
+};
+
+// Generic template cards for an alert, one per category
+const buildAlertCards = (foundByCategory, hasCustomAlerts, alertRules = {}) => {
+    return Object.entries(foundByCategory).map(([category, matches]) => {
+        const buttons = [];
+
+        // Default alerts can't be removed, so only offer it for the user's own alerts;
+        // an item caught by a wildcard or conditional rule has no alert of its own to remove
+        if (hasCustomAlerts) {
+            const isWildcard = (alertRules[category] || []).some(rule => rule.itemId === WILDCARD_ITEM) ||
+                (alertRules[RARITY_CATEGORY] || []).length > 0;
+            const hasOwnAlert = matches.length === 1 &&
+                (alertRules[category] || []).some(rule => rule.itemId === matches[0].item_id);
+            buttons.push(hasOwnAlert && !isWildcard
+                ? { title: '🔕 Remove this alert', payload: `remove ${category} ${matches[0].item_id}` }
+                : { title: '🔕 Remove an alert', payload: `remove ${category}` });
+        }
+        buttons.push(matches.length === 1
+            ? { title: '😴 Snooze 1h', payload: `snooze ${category} ${matches[0].item_id} 1h` }
+            : { title: '😴 Snooze 1h', payload: `snooze ${category} 1h` });
+        buttons.push({ title: '📦 All Stock', payload: 'all' });
+
+        return {
+            title: `🔔 ${categoryNames[category] || category}`,
+            subtitle: formatItemSummary(matches),
+            buttons
+        };
+    });
+};
+
+// Discord embeds for an alert, one per category in that category's colour
+const buildAlertEmbeds = (foundByCategory) => {
+    return Object.entries(foundByCategory).map(([category, matches]) => ({
+        title: categoryNames[category] || category,
+        // Item names already carry their rarity badge
+        description: matches.map(i => `• ${formatItemSummary([i])}`).join('\n'),
+        color: categoryColors[category],
+        timestamp: new Date().toISOString()
+    }));
+};
+
+// Command handlers
+const handleStockCommand = async (senderId) => {
     try {
+        // Check rate limits
         const rateLimitCheck = isRateLimited(senderId, rateLimitConfig);
         if (rateLimitCheck.limited) {
             await sendMessage(senderId, rateLimitCheck.message);
             return;
         }
 
+        // Check cooldown
+        const lastCheck = lastCheckTime.get(senderId) || 0;
+        const timeSinceLastCheck = Date.now() - lastCheck;
+
+        if (timeSinceLastCheck < COOLDOWN_TIME) {
+            const remainingTime = Math.ceil((COOLDOWN_TIME - timeSinceLastCheck) / 1000 / 60);
+            await sendMessage(senderId, `⏳ Please wait ${remainingTime} minute(s) before checking again.`);
+            return;
+        }
+
+        // Update tracking
+        lastCheckTime.set(senderId, Date.now());
         updateRateLimits(senderId, rateLimitConfig);
 
-        // Get detailed WebSocket status
-        const wsActive = websocketManager.isConnectionActive();
-        const wsDetails = websocketManager.getDetailedStatus();
-        const subscriberCount = stockManager.subscribers.size;
-        const lastStockData = websocketManager.getLastStockData();
+        // Use the checkStock function for manual checks
+        await checkStock(senderId, false);
 
-        // Determine WebSocket status with more detail
-        let wsStatus;
-        if (wsActive) {
-            wsStatus = '🟢 Active';
-        } else if (wsDetails.isConnected) {
-            wsStatus = '🟡 Connected but not ready';
-        } else if (wsDetails.hasWebSocket) {
-            wsStatus = '🔴 Disconnected';
-        } else {
-            wsStatus = '🔴 Not initialized';
+    } catch (error) {
+        console.error('❌ Error in stock command:', error.message);
+        await sendMessage(senderId, '❌ Sorry, there was an error checking the stock. Please try again later.');
+    }
+};
+
+const handleAllStockCommand = async (senderId) => {
+    try {
+        const rateLimitCheck = isRateLimited(senderId, rateLimitConfig);
+        if (rateLimitCheck.limited) {
+            await sendMessage(senderId, rateLimitCheck.message);
+            return;
         }
 
-        // Ready state mapping
-        const readyStateMap = {
-            0: 'CONNECTING',
-            1: 'OPEN',
-            2: 'CLOSING',
-            3: 'CLOSED'
-        };
+        updateRateLimits(senderId, rateLimitConfig);
 
-        const message = `📊 Bot Status\n\n` +
-            `WebSocket: ${wsStatus}\n` +
-            `Connection State: ${wsDetails.isConnected ? 'Connected' : 'Disconnected'}\n` +
-            `Ready State: ${wsDetails.readyState !== null ? readyStateMap[wsDetails.readyState] : 'No WebSocket'}\n` +
-            `Reconnect Attempts: ${wsDetails.reconnectAttempts}\n` +
-            `Subscribers: ${subscriberCount}\n` +
-            `Last Update: ${lastStockData ? 'Available' : 'None'}`;
+        const stockData = await stockManager.getStockData();
+        const message = stockManager.formatStockMessage(stockData);
+        const preferences = await getUserPreferences(senderId);
+        const cards = preferences.rich_messages ? stockManager.buildStockCards(stockData) : [];
 
-        await sendMessage(senderId, message);
+        await sendMessage(senderId, message, {
+            attachment: cards.length ? buildGenericTemplate(cards) : undefined,
+            quickReplies: mainMenuQuickReplies
+        });
 
     } catch (error) {
-        console.error('❌ Error in status command:', error.message);
-        await sendMessage(senderId, '❌ Sorry, there was an error getting the bot status.');
+        console.error('❌ Error in all stock command:', error.message);
+        await sendMessage(senderId, '❌ Sorry, there was an error fetching the stock information.');
     }
 };
 
-const handleHelpCommand = async (senderId) => {
+const handleSubscribeCommand = async (senderId) => {
     try {
         const rateLimitCheck = isRateLimited(senderId, rateLimitConfig);
         if (rateLimitCheck.limited) {
@@ -533,47 +1449,47 @@ const handleHelpCommand = async (senderId) => {
 
         updateRateLimits(senderId, rateLimitConfig);
 
-        const helpMessage = `🤖 RelStocks Bot Commands
-
-📦 Stock Commands:
-• \`stock\` - Check for alert items (5 min cooldown)
-• \`all\` - Show all current stock items
-
-🔔 Subscription Commands:
-• \`subscribe\` - Subscribe to stock alerts
-• \`unsubscribe\` - Unsubscribe from stock alerts
+        await subscribeUser(senderId);
+        await sendMessage(senderId, '✅ You have been subscribed to stock alerts!', {
+            quickReplies: [
+                { title: '➕ Add Alert', payload: 'add' },
+                { title: '🔔 Default Alerts', payload: 'defaultalerts' },
+                { title: '📦 All Stock', payload: 'all' }
+            ]
+        });
 
-🔔 Custom Alert Commands:
-• \`add <category> <item>\` - Add custom alert (e.g., add seed bell_pepper)
-• \`remove <category> <item>\` - Remove custom alert
-• \`myalerts\` - View your custom alerts
-• \`defaultalerts\` - View default alert items
+        // Alerts outside the 24-hour window need the user's permission
+        if (needsNotificationOptIn(senderId)) {
+            await requestNotificationOptIn(senderId);
+        }
 
-📊 Status Commands:
-• \`status\` - Check bot status and WebSocket connection
-• \`help\` - Show this help message
-• \`about\` - About the bot
+    } catch (error) {
+        console.error('❌ Error in subscribe command:', error.message);
+        await sendMessage(senderId, '❌ Sorry, there was an error subscribing you to alerts.');
+    }
+};
 
-💡 Tips:
-• Use \`stock\` to check for your alert items
-• Use \`all\` to see everything in stock
-• Real-time alerts are sent automatically when items become available
-• Categories: seed, gear, egg, eventshop, cosmetic
+const handleUnsubscribeCommand = async (senderId) => {
+    try {
+        const rateLimitCheck = isRateLimited(senderId, rateLimitConfig);
+        if (rateLimitCheck.limited) {
+            await sendMessage(senderId, rateLimitCheck.message);
+            return;
+        }
 
-⏱️ Rate Limits:
-• 2 seconds between commands
-• 5 minutes between stock checks
-• 100 commands per day maximum`;
+        updateRateLimits(senderId, rateLimitConfig);
 
-        await sendMessage(senderId, helpMessage);
+        await removeSubscriber(senderId);
+        stockManager.removeSubscriber(senderId);
+        await sendMessage(senderId, '❌ You have been unsubscribed from stock alerts.');
 
     } catch (error) {
-        console.error('❌ Error in help command:', error.message);
-        await sendMessage(senderId, '❌ Sorry, there was an error showing the help message.');
+        console.error('❌ Error in unsubscribe command:', error.message);
+        await sendMessage(senderId, '❌ Sorry, there was an error unsubscribing you from alerts.');
     }
 };
 
-const handleAddAlertCommand = async (senderId, text) => {
+const handleRenewCommand = async (senderId) => {
     try {
         const rateLimitCheck = isRateLimited(senderId, rateLimitConfig);
         if (rateLimitCheck.limited) {
@@ -583,47 +1499,56 @@ const handleAddAlertCommand = async (senderId, text) => {
 
         updateRateLimits(senderId, rateLimitConfig);
 
-        const parts = text.toLowerCase().split(' ');
-        if (parts.length !== 3) {
-            await sendMessage(senderId, '❌ Usage: add <category> <item_id>\nExample: add seed bell_pepper');
+        const channel = findChannel(senderId);
+        if (channel) {
+            await sendMessage(senderId, `✅ Nothing to renew: alerts on ${channel.label} don't expire.`);
             return;
         }
 
-        let [_, category, itemId] = parts;
+        await requestNotificationOptIn(senderId);
 
-        // Category alias mapping for better UX
-        const categoryAlias = {
-            egg: 'egg_stock',
-            seed: 'seed_stock',
-            gear: 'gear_stock',
-            eventshop: 'eventshop_stock',
-            eggs: 'egg_stock',
-            seeds: 'seed_stock',
-            gears: 'gear_stock',
-            eventshops: 'eventshop_stock'
-        };
+    } catch (error) {
+        console.error('❌ Error in renew command:', error.message);
+        await sendMessage(senderId, '❌ Sorry, there was an error requesting notification permission.');
+    }
+};
 
-        if (categoryAlias[category]) category = categoryAlias[category];
+const handleStyleCommand = async (senderId, text) => {
+    try {
+        const rateLimitCheck = isRateLimited(senderId, rateLimitConfig);
+        if (rateLimitCheck.limited) {
+            await sendMessage(senderId, rateLimitCheck.message);
+            return;
+        }
 
-        const validCategories = ['seed_stock', 'gear_stock', 'egg_stock', 'eventshop_stock', 'cosmetic_stock'];
-        if (!validCategories.includes(category)) {
-            await sendMessage(senderId, `❌ Invalid category "${category}". Valid categories: ${validCategories.join(', ')}`);
+        updateRateLimits(senderId, rateLimitConfig);
+
+        const style = text.split(' ')[1];
+        if (style !== 'rich' && style !== 'plain') {
+            const preferences = await getUserPreferences(senderId);
+            await sendMessage(senderId, `🎨 Message style: ${preferences.rich_messages ? 'rich' : 'plain'}\n\nUsage: style rich or style plain`, {
+                quickReplies: [
+                    { title: '🃏 Rich cards', payload: 'style rich' },
+                    { title: '📝 Plain text', payload: 'style plain' }
+                ]
+            });
             return;
         }
 
-        const success = await addAlert(senderId, category, itemId);
-        const categoryName = categoryNames[category] || category;
+        const success = await setUserPreferences(senderId, { rich_messages: style === 'rich' });
         await sendMessage(senderId, success
-            ? `✅ Alert added for ${formatItemName(itemId)} in ${categoryName}`
-            : '❌ Failed to add alert.');
+            ? (style === 'rich'
+                ? '✅ Stock and alerts will now be shown as cards with buttons.'
+                : '✅ Stock and alerts will now be shown as plain text.')
+            : '❌ Failed to update your message style.');
 
     } catch (error) {
-        console.error('❌ Error in add alert command:', error.message);
-        await sendMessage(senderId, '❌ Sorry, there was an error adding the alert.');
+        console.error('❌ Error in style command:', error.message);
+        await sendMessage(senderId, '❌ Sorry, there was an error updating your message style.');
     }
 };
 
-const handleRemoveAlertCommand = async (senderId, text) => {
+const handleModeCommand = async (senderId, text) => {
     try {
         const rateLimitCheck = isRateLimited(senderId, rateLimitConfig);
         if (rateLimitCheck.limited) {
@@ -633,47 +1558,97 @@ const handleRemoveAlertCommand = async (senderId, text) => {
 
         updateRateLimits(senderId, rateLimitConfig);
 
-        const parts = text.toLowerCase().split(' ');
-        if (parts.length !== 3) {
-            await sendMessage(senderId, '❌ Usage: remove <category> <item_id>\nExample: remove seed bell_pepper');
+        const mode = text.split(' ')[1];
+        if (mode !== 'full' && mode !== 'diff') {
+            const preferences = await getUserPreferences(senderId);
+            await sendMessage(senderId, `🔔 Alert mode: ${preferences.notification_mode}\n\n` +
+                `• full - list every matching item on each restock\n` +
+                `• diff - only what appeared, disappeared or changed quantity since your last alert\n\n` +
+                `Usage: mode full or mode diff`, {
+                quickReplies: [
+                    { title: '📋 Full list', payload: 'mode full' },
+                    { title: '🔀 Changes only', payload: 'mode diff' }
+                ]
+            });
             return;
         }
 
-        let [_, category, itemId] = parts;
+        const success = await setUserPreferences(senderId, { notification_mode: mode });
+        await sendMessage(senderId, success
+            ? (mode === 'diff'
+                ? '✅ Alerts will now only show new, removed and changed items.'
+                : '✅ Alerts will now list every matching item.')
+            : '❌ Failed to update your alert mode.');
 
-        // Category alias mapping for better UX
-        const categoryAlias = {
-            egg: 'egg_stock',
-            seed: 'seed_stock',
-            gear: 'gear_stock',
-            eventshop: 'eventshop_stock',
-            eggs: 'egg_stock',
-            seeds: 'seed_stock',
-            gears: 'gear_stock',
-            eventshops: 'eventshop_stock'
-        };
+    } catch (error) {
+        console.error('❌ Error in mode command:', error.message);
+        await sendMessage(senderId, '❌ Sorry, there was an error updating your alert mode.');
+    }
+};
 
-        if (categoryAlias[category]) category = categoryAlias[category];
+const handleHistoryCommand = async (senderId, text) => {
+    try {
+        const rateLimitCheck = isRateLimited(senderId, rateLimitConfig);
+        if (rateLimitCheck.limited) {
+            await sendMessage(senderId, rateLimitCheck.message);
+            return;
+        }
 
-        const validCategories = ['seed_stock', 'gear_stock', 'egg_stock', 'eventshop_stock', 'cosmetic_stock'];
-        if (!validCategories.includes(category)) {
-            await sendMessage(senderId, `❌ Invalid category "${category}". Valid categories: ${validCategories.join(', ')}`);
+        updateRateLimits(senderId, rateLimitConfig);
+
+        // Accept both "bell_pepper" and "bell pepper"
+        const itemId = text.slice('history '.length).trim().replace(/\s+/g, '_');
+        if (!itemId) {
+            await sendMessage(senderId, '❌ Usage: history <item>\nExample: history bell_pepper');
             return;
         }
 
-        const success = await removeAlert(senderId, category, itemId);
-        const categoryName = categoryNames[category] || category;
-        await sendMessage(senderId, success
-            ? `✅ Alert removed for ${formatItemName(itemId)} in ${categoryName}`
-            : '❌ Failed to remove alert.');
+        const [summary, timeZone] = await Promise.all([
+            stockHistory.getItemSummary(itemId),
+            getUserTimeZone(senderId)
+        ]);
+        if (!summary) {
+            await sendMessage(senderId, `📜 ${formatItemName(itemId)} hasn't been seen in stock in the last 7 days.`);
+            return;
+        }
+
+        const quantities = summary.minQuantity === null
+            ? 'unknown'
+            : summary.minQuantity === summary.maxQuantity
+                ? `${summary.minQuantity}`
+                : `${summary.minQuantity}–${summary.maxQuantity} (avg ${summary.averageQuantity.toFixed(1)})`;
+
+        const historyMessage = `📜 Stock History: ${formatItemName(itemId)}\n` +
+            `${categoryNames[summary.category] || summary.category}\n\n` +
+            `🕒 Last seen: ${formatDateTime(summary.lastSeen, timeZone)} (${formatDuration(Date.now() - summary.lastSeen.getTime())} ago)` +
+            `${summary.lastQuantity != null ? `, quantity ${summary.lastQuantity}` : ''}\n` +
+            `📅 Last 24h: in ${summary.restocks24h} restock(s)\n` +
+            `🗓️ Last 7d: in ${summary.restocks7d} restock(s)\n` +
+            `📦 Quantities seen: ${quantities}`;
+
+        await sendMessage(senderId, historyMessage);
 
     } catch (error) {
-        console.error('❌ Error in remove alert command:', error.message);
-        await sendMessage(senderId, '❌ Sorry, there was an error removing the alert.');
+        console.error('❌ Error in history command:', error.message);
+        await sendMessage(senderId, '❌ Sorry, there was an error fetching the item history.');
     }
 };
 
-const handleMyAlertsCommand = async (senderId) => {
+// Parse "predict <item> [restocks]"; item names may contain spaces
+const parsePredictArgs = (args) => {
+    const parts = args.trim().split(/\s+/).filter(Boolean);
+    let restockCount = DEFAULT_PREDICT_RESTOCKS;
+
+    if (parts.length > 1 && /^\d+$/.test(parts[parts.length - 1])) {
+        restockCount = Math.min(Math.max(parseInt(parts.pop(), 10), 1), MAX_PREDICT_RESTOCKS);
+    }
+
+    return { itemId: parts.join('_'), restockCount };
+};
+
+const formatPercent = (probability) => `${(probability * 100).toFixed(probability < 0.1 ? 1 : 0)}%`;
+
+const handlePredictCommand = async (senderId, text) => {
     try {
         const rateLimitCheck = isRateLimited(senderId, rateLimitConfig);
         if (rateLimitCheck.limited) {
@@ -683,26 +1658,43 @@ const handleMyAlertsCommand = async (senderId) => {
 
         updateRateLimits(senderId, rateLimitConfig);
 
-        const userAlerts = await getUserAlerts(senderId);
-        if (!userAlerts || Object.keys(userAlerts).length === 0) {
-            await sendMessage(senderId, '🔕 You have no active alerts. Use add <category> <item_id> to add one.');
+        const { itemId, restockCount } = parsePredictArgs(text.slice('predict '.length));
+        if (!itemId) {
+            await sendMessage(senderId, '❌ Usage: predict <item> [restocks]\nExample: predict godly_sprinkler 5');
             return;
         }
 
-        let alertMsg = `🔔 Your Active Alerts\n\n`;
-        for (const [category, items] of Object.entries(userAlerts)) {
-            const categoryName = categoryNames[category] || category;
-            alertMsg += `${categoryName}\n${items.map(item => `• ${formatItemName(item)}`).join('\n')}\n\n`;
+        const [prediction, timeZone] = await Promise.all([
+            stockHistory.predictItem(itemId, restockCount),
+            getUserTimeZone(senderId)
+        ]);
+        if (!prediction) {
+            await sendMessage(senderId, `🔮 ${formatItemName(itemId)} hasn't been seen in stock in the last 7 days, so there isn't enough data to predict it.`);
+            return;
         }
-        await sendMessage(senderId, alertMsg);
+
+        const restockLines = prediction.restocks.map((restock, index) =>
+            `• #${index + 1} at ${formatTime(restock.at, timeZone)} — ${formatPercent(restock.cumulativeProbability)}`
+        ).join('\n');
+
+        const predictMessage = `🔮 Restock Prediction: ${formatItemName(itemId)}\n` +
+            `${categoryNames[prediction.category] || prediction.category} • restocks every ${formatDuration(prediction.restockInterval)}\n\n` +
+            `${prediction.inStockNow ? '✅ In stock right now\n' : ''}` +
+            `📊 Seen in ${prediction.appearances} of ${prediction.observedRestocks} recorded restock(s) in the last 7 days\n` +
+            `🎲 Chance per restock: ${formatPercent(prediction.probability)}\n` +
+            `⏳ Expected wait: ~${formatDuration(prediction.expectedWaitMs)} (around ${formatDateTime(prediction.expectedAt, timeZone)})\n\n` +
+            `Chance it has appeared by each of the next ${prediction.restocks.length} restock(s):\n${restockLines}\n\n` +
+            `ℹ️ Estimates assume each restock is independent and are based on recorded history only.`;
+
+        await sendMessage(senderId, predictMessage);
 
     } catch (error) {
-        console.error('❌ Error in my alerts command:', error.message);
-        await sendMessage(senderId, '❌ Sorry, there was an error fetching your alerts.');
+        console.error('❌ Error in predict command:', error.message);
+        await sendMessage(senderId, '❌ Sorry, there was an error predicting the next restock.');
     }
 };
 
-const handleDefaultAlertsCommand = async (senderId) => {
+const handleNextCommand = async (senderId) => {
     try {
         const rateLimitCheck = isRateLimited(senderId, rateLimitConfig);
         if (rateLimitCheck.limited) {
@@ -712,24 +1704,63 @@ const handleDefaultAlertsCommand = async (senderId) => {
 
         updateRateLimits(senderId, rateLimitConfig);
 
-        let alertsMessage = `🔔 Default Stock Alerts\n\n`;
+        const timeZone = await getUserTimeZone(senderId);
+        const now = Date.now();
 
-        for (const [category, items] of Object.entries(defaultAlerts)) {
-            const categoryName = categoryNames[category] || category;
-            const formattedItems = items.map(item => `• ${formatItemName(item)}`).join('\n');
-            alertsMessage += `${categoryName}\n${formattedItems}\n\n`;
+        const lines = Object.entries(restockIntervals).map(([category, interval]) => {
+            const nextRestock = getNextRestockTime(category, now);
+            return `${categoryNames[category] || category} • every ${formatDuration(interval)}\n` +
+                `   Next at ${formatTime(nextRestock, timeZone)} (in ${formatDuration(nextRestock.getTime() - now)})`;
+        });
+
+        const nextMessage = `⏱️ Next Restocks\n\n${lines.join('\n\n')}\n\n` +
+            `🌐 Times shown in ${timeZone}. Change it with timezone <zone>.`;
+
+        await sendMessage(senderId, nextMessage, { quickReplies: mainMenuQuickReplies });
+
+    } catch (error) {
+        console.error('❌ Error in next command:', error.message);
+        await sendMessage(senderId, '❌ Sorry, there was an error getting the restock times.');
+    }
+};
+
+const handleTimezoneCommand = async (senderId, text) => {
+    try {
+        const rateLimitCheck = isRateLimited(senderId, rateLimitConfig);
+        if (rateLimitCheck.limited) {
+            await sendMessage(senderId, rateLimitCheck.message);
+            return;
         }
 
-        alertsMessage += `ℹ️ These are the items that will trigger notifications when they are in stock.`;
-        await sendMessage(senderId, alertsMessage);
+        updateRateLimits(senderId, rateLimitConfig);
+
+        const zone = text.split(' ').slice(1).join(' ').trim();
+        if (!zone) {
+            const timeZone = await getUserTimeZone(senderId);
+            await sendMessage(senderId, `🌐 Your timezone: ${timeZone}\n\n` +
+                `Usage: timezone <zone>\nExample: timezone America/New_York\n` +
+                `Use timezone default to go back to ${DEFAULT_TIMEZONE}.`);
+            return;
+        }
+
+        const timeZone = zone === 'default' ? null : normalizeTimeZone(zone);
+        if (zone !== 'default' && !timeZone) {
+            await sendMessage(senderId, `❌ Unknown timezone "${zone}". Use an IANA name like Europe/London or Asia/Manila.`);
+            return;
+        }
+
+        const success = await setUserPreferences(senderId, { timezone: timeZone });
+        await sendMessage(senderId, success
+            ? `✅ Times will now be shown in ${timeZone || DEFAULT_TIMEZONE} (now ${formatTime(new Date(), timeZone || DEFAULT_TIMEZONE)}).`
+            : '❌ Failed to update your timezone.');
 
     } catch (error) {
-        console.error('❌ Error in default alerts command:', error.message);
-        await sendMessage(senderId, '❌ Sorry, there was an error fetching default alerts.');
+        console.error('❌ Error in timezone command:', error.message);
+        await sendMessage(senderId, '❌ Sorry, there was an error updating your timezone.');
     }
 };
 
-const handleAboutCommand = async (senderId) => {
+const handleQuietCommand = async (senderId, text) => {
     try {
         const rateLimitCheck = isRateLimited(senderId, rateLimitConfig);
         if (rateLimitCheck.limited) {
@@ -737,152 +1768,1579 @@ const handleAboutCommand = async (senderId) => {
             return;
         }
 
-        updateRateLimits(senderId, rateLimitConfig);
+        updateRateLimits(senderId, rateLimitConfig);
+
+        const args = text.split(' ').slice(1).join('').trim();
+        const preferences = await getUserPreferences(senderId);
+        const timeZone = preferences.timezone || DEFAULT_TIMEZONE;
+
+        if (!args) {
+            const current = preferences.quiet_start && preferences.quiet_end
+                ? `🌙 Quiet hours: ${preferences.quiet_start}-${preferences.quiet_end} (${timeZone})` +
+                    (isQuietTime(preferences) ? ' - on now' : '')
+                : '🌙 Quiet hours are off.';
+            await sendMessage(senderId, `${current}\n\n` +
+                `During quiet hours alerts are held and sent as one summary afterwards. ` +
+                `Alerts marked with urgent still come through.\n\n` +
+                `Usage: quiet 23:00-07:00 or quiet off`);
+            return;
+        }
+
+        if (args === 'off') {
+            const success = await setUserPreferences(senderId, { quiet_start: null, quiet_end: null });
+            if (success) await releaseHeldAlertsNow(senderId);
+            await sendMessage(senderId, success
+                ? '✅ Quiet hours turned off. Anything held will be sent shortly.'
+                : '❌ Failed to update your quiet hours.');
+            return;
+        }
+
+        const [start, end] = args.split('-');
+        const startMinutes = parseClockTime(start);
+        const endMinutes = parseClockTime(end);
+        if (startMinutes === null || endMinutes === null || startMinutes === endMinutes) {
+            await sendMessage(senderId, '❌ Use 24-hour times for the start and end, e.g. quiet 23:00-07:00');
+            return;
+        }
+
+        // Store as HH:MM so "7:00" and "07:00" look the same everywhere
+        const toClock = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+        const success = await setUserPreferences(senderId, { quiet_start: toClock(startMinutes), quiet_end: toClock(endMinutes) });
+        // Held alerts waited for the old end time; the release check holds them while the new hours last
+        if (success) await releaseHeldAlertsNow(senderId);
+        await sendMessage(senderId, success
+            ? `✅ Quiet hours set to ${toClock(startMinutes)}-${toClock(endMinutes)} (${timeZone}). ` +
+                `Use urgent <category> <item> for alerts that should still come through.`
+            : '❌ Failed to update your quiet hours.');
+
+    } catch (error) {
+        console.error('❌ Error in quiet command:', error.message);
+        await sendMessage(senderId, '❌ Sorry, there was an error updating your quiet hours.');
+    }
+};
+
+const handleUrgentCommand = async (senderId, text) => {
+    try {
+        const rateLimitCheck = isRateLimited(senderId, rateLimitConfig);
+        if (rateLimitCheck.limited) {
+            await sendMessage(senderId, rateLimitCheck.message);
+            return;
+        }
+
+        updateRateLimits(senderId, rateLimitConfig);
+
+        const parts = text.split(' ').filter(Boolean);
+        const urgent = parts[1] !== 'off';
+        if (!urgent) parts.splice(1, 1);
+
+        let category = parts[1];
+        if (category && categoryAlias[category]) category = categoryAlias[category];
+        const itemNames = parts.slice(2).join(' ')
+            .split(',')
+            .map(name => name.trim())
+            .filter(Boolean);
+
+        const userAlerts = await getUserAlerts(senderId);
+
+        if (!category || !itemNames.length) {
+            const urgentRules = Object.entries(userAlerts).flatMap(([alertCategory, rules]) => rules
+                .filter(rule => rule.urgent)
+                .map(rule => `• ${alertCategoryNames[alertCategory] || alertCategory}: ${formatAlertRule(rule)}`));
+
+            await sendMessage(senderId, (urgentRules.length
+                ? `🚨 Urgent alerts (sent even during quiet hours):\n${urgentRules.join('\n')}`
+                : '🚨 You have no urgent alerts.') +
+                `\n\nUsage: urgent <category> <item>\nExample: urgent seed kiwi\n` +
+                `Use urgent off <category> <item> to make it a normal alert again.`);
+            return;
+        }
+
+        if (!alertCategoryNames[category]) {
+            await sendMessage(senderId, `❌ Invalid category "${category}". Valid categories: ${Object.keys(alertCategoryNames).join(', ')}`);
+            return;
+        }
+
+        if (itemNames.length > MAX_BULK_ALERTS) {
+            await sendMessage(senderId, `❌ You can change up to ${MAX_BULK_ALERTS} items at once.`);
+            return;
+        }
+
+        // Only the user's own alerts can be marked; defaults aren't stored per user
+        const categoryName = alertCategoryNames[category];
+        const alertIds = (userAlerts[category] || []).map(rule => rule.itemId);
+        const updated = [];
+        const failed = [];
+        const unknown = [];
+
+        for (const itemName of itemNames) {
+            const itemId = itemName === WILDCARD_ITEM ? WILDCARD_ITEM : toItemId(itemName);
+            if (!alertIds.includes(itemId)) {
+                unknown.push(itemName);
+                continue;
+            }
+
+            const count = await setAlertUrgent(senderId, category, itemId, urgent);
+            (count ? updated : failed).push(itemId === WILDCARD_ITEM ? 'Any item' : formatItemName(itemId));
+        }
+
+        const lines = [];
+        if (updated.length) {
+            lines.push(urgent
+                ? `🚨 ${updated.join(', ')} in ${categoryName} will come through during quiet hours.`
+                : `✅ ${updated.join(', ')} in ${categoryName} will wait for quiet hours to end.`);
+        }
+        if (failed.length) {
+            lines.push(`❌ Failed to update ${failed.join(', ')}.`);
+        }
+        if (unknown.length) {
+            lines.push(`❓ You don't have an alert for ${unknown.map(name => `"${name}"`).join(', ')} in ${categoryName}. ` +
+                `Add it first with add ${parts[1]} <item>.`);
+        }
+
+        await sendMessage(senderId, lines.join('\n\n'));
+
+    } catch (error) {
+        console.error('❌ Error in urgent command:', error.message);
+        await sendMessage(senderId, '❌ Sorry, there was an error updating your alert.');
+    }
+};
+
+// "seed kiwi" -> { category, itemId } for snooze/unsnooze; an empty scope means everything
+const parseSnoozeScope = (args) => {
+    if (!args.length) return { category: WILDCARD_ITEM, itemId: WILDCARD_ITEM };
+
+    const category = categoryAlias[args[0]] || args[0];
+    if (!categoryNames[category]) return { error: `❌ Invalid category "${args[0]}". Valid categories: seed, gear, egg, eventshop, cosmetic` };
+
+    const itemName = args.slice(1).join(' ');
+    if (!itemName || itemName === WILDCARD_ITEM) return { category, itemId: WILDCARD_ITEM };
+
+    const resolved = itemCatalog.resolve(category, itemName);
+    if (!resolved.itemId) return { category, itemName, suggestions: resolved.suggestions };
+    return { category, itemId: resolved.itemId };
+};
+
+const handleSnoozeCommand = async (senderId, text) => {
+    try {
+        const rateLimitCheck = isRateLimited(senderId, rateLimitConfig);
+        if (rateLimitCheck.limited) {
+            await sendMessage(senderId, rateLimitCheck.message);
+            return;
+        }
+
+        updateRateLimits(senderId, rateLimitConfig);
+
+        const args = text.split(' ').filter(Boolean).slice(1);
+        const timeZone = await getUserTimeZone(senderId);
+        const now = Date.now();
+
+        if (!args.length) {
+            const snoozes = await getActiveSnoozes(senderId);
+            const lines = snoozes.map(snooze => {
+                const until = new Date(snooze.snoozed_until);
+                return `• ${describeSnooze(snooze)} until ${formatDateTime(until, timeZone)} (${formatDuration(until.getTime() - now)} left)`;
+            });
+
+            await sendMessage(senderId, (lines.length ? `😴 Snoozed:\n${lines.join('\n')}` : '😴 Nothing is snoozed.') +
+                `\n\nUsage:\n• snooze 2h - pause all alerts\n• snooze seed 30m - pause a category\n` +
+                `• snooze seed kiwi 1d - pause one item\n• unsnooze - turn alerts back on`);
+            return;
+        }
+
+        const duration = parseDuration(args[args.length - 1]);
+        if (!duration) {
+            await sendMessage(senderId, '❌ End with a duration like 30m, 2h, 1d or 1h30m. Example: snooze seed kiwi 2h');
+            return;
+        }
+        if (duration > MAX_SNOOZE) {
+            await sendMessage(senderId, `❌ You can snooze for up to ${formatDuration(MAX_SNOOZE)}.`);
+            return;
+        }
+
+        const scope = parseSnoozeScope(args.slice(0, -1));
+        if (scope.error) {
+            await sendMessage(senderId, scope.error);
+            return;
+        }
+        if (!scope.itemId) {
+            const durationText = args[args.length - 1];
+            await sendMessage(senderId, scope.suggestions.length
+                ? `❓ "${scope.itemName}" isn't a known item in ${categoryNames[scope.category]}. Did you mean one of these?`
+                : `❓ "${scope.itemName}" isn't a known item in ${categoryNames[scope.category]}.`, {
+                quickReplies: scope.suggestions.map(id => ({
+                    title: formatItemName(id),
+                    payload: `snooze ${scope.category} ${id} ${durationText}`
+                }))
+            });
+            return;
+        }
+
+        const snooze = { category: scope.category, item_id: scope.itemId };
+        const until = new Date(now + duration);
+        const success = await saveSnooze(senderId, scope.category, scope.itemId, until);
+        await sendMessage(senderId, success
+            ? `😴 Snoozed ${describeSnooze(snooze)} for ${formatDuration(duration)}, until ${formatDateTime(until, timeZone)}. ` +
+                `Type unsnooze to turn alerts back on sooner.`
+            : '❌ Failed to snooze alerts.');
+
+    } catch (error) {
+        console.error('❌ Error in snooze command:', error.message);
+        await sendMessage(senderId, '❌ Sorry, there was an error snoozing your alerts.');
+    }
+};
+
+const handleUnsnoozeCommand = async (senderId, text) => {
+    try {
+        const rateLimitCheck = isRateLimited(senderId, rateLimitConfig);
+        if (rateLimitCheck.limited) {
+            await sendMessage(senderId, rateLimitCheck.message);
+            return;
+        }
+
+        updateRateLimits(senderId, rateLimitConfig);
+
+        const args = text.split(' ').filter(Boolean).slice(1);
+        const scope = parseSnoozeScope(args);
+        if (scope.error) {
+            await sendMessage(senderId, scope.error);
+            return;
+        }
+
+        // Unknown names can still be unsnoozed by their item id
+        const itemId = scope.itemId || toItemId(scope.itemName);
+        const removed = args.length
+            ? await removeSnoozes(senderId, scope.category, itemId === WILDCARD_ITEM ? null : itemId)
+            : await removeSnoozes(senderId);
+
+        if (removed === null) {
+            await sendMessage(senderId, '❌ Failed to remove the snooze.');
+        } else if (!removed) {
+            await sendMessage(senderId, args.length
+                ? `😴 ${describeSnooze({ category: scope.category, item_id: itemId })} isn't snoozed.`
+                : '😴 Nothing is snoozed.');
+        } else {
+            await sendMessage(senderId, args.length
+                ? `✅ Alerts are back on for ${describeSnooze({ category: scope.category, item_id: itemId })}.`
+                : '✅ All snoozes removed. Alerts are back on.');
+        }
+
+    } catch (error) {
+        console.error('❌ Error in unsnooze command:', error.message);
+        await sendMessage(senderId, '❌ Sorry, there was an error removing the snooze.');
+    }
+};
+
+// Weather type name for display, e.g. "Thunderstorm" or "Any weather"
+const formatWeatherType = (weatherId) => {
+    if (weatherId === WILDCARD_ITEM) return 'Any weather';
+    const event = weatherWatcher.events.find(entry => entry.id === weatherId);
+    return event ? event.name : formatItemName(weatherId);
+};
+
+const handleWeatherCommand = async (senderId, text) => {
+    try {
+        const rateLimitCheck = isRateLimited(senderId, rateLimitConfig);
+        if (rateLimitCheck.limited) {
+            await sendMessage(senderId, rateLimitCheck.message);
+            return;
+        }
+
+        updateRateLimits(senderId, rateLimitConfig);
+
+        const parts = text.split(' ').filter(Boolean);
+        const action = parts[1];
+        const typeName = parts.slice(2).join(' ');
+
+        // Make sure there is something to show or validate against before the first poll lands
+        if (!weatherWatcher.lastUpdate) await weatherWatcher.poll();
+
+        if (action === 'subscribe' || action === 'unsubscribe') {
+            if (!typeName) {
+                await sendMessage(senderId, `Usage: weather ${action} <type>\nExample: weather ${action} thunderstorm`, {
+                    quickReplies: weatherWatcher.getKnownTypes().slice(0, 10).map(id => ({
+                        title: formatWeatherType(id),
+                        payload: `weather ${action} ${id}`
+                    }))
+                });
+                return;
+            }
+
+            const weatherId = typeName === WILDCARD_ITEM ? WILDCARD_ITEM : toItemId(typeName);
+
+            if (action === 'unsubscribe') {
+                const removed = await removeWeatherSubscription(senderId, weatherId);
+                await sendMessage(senderId, removed === null
+                    ? '❌ Failed to update your weather alerts.'
+                    : removed
+                        ? `✅ You won't get weather alerts for ${formatWeatherType(weatherId)} anymore.`
+                        : `❓ You aren't subscribed to ${formatWeatherType(weatherId)}.`);
+                return;
+            }
+
+            // Only accept types the feed has reported, once it has reported any
+            const knownTypes = weatherWatcher.getKnownTypes();
+            if (weatherId !== WILDCARD_ITEM && knownTypes.length && !knownTypes.includes(weatherId)) {
+                const suggestions = itemCatalog.suggest(typeName, knownTypes);
+                await sendMessage(senderId, suggestions.length
+                    ? `❓ Unknown weather "${typeName}". Did you mean one of these?`
+                    : `❓ Unknown weather "${typeName}". Known types: ${knownTypes.join(', ')}`, {
+                    quickReplies: suggestions.map(id => ({ title: formatWeatherType(id), payload: `weather subscribe ${id}` }))
+                });
+                return;
+            }
+
+            const success = await addWeatherSubscription(senderId, weatherId);
+            if (!success) {
+                await sendMessage(senderId, '❌ Failed to update your weather alerts.');
+                return;
+            }
+
+            const note = subscriptionNote(senderId, 'Weather alerts');
+            await sendMessage(senderId, `✅ You'll get an alert when ${weatherId === WILDCARD_ITEM ? 'any weather event' : formatWeatherType(weatherId)} starts and ends.${note.text}`, {
+                quickReplies: note.quickReplies
+            });
+            return;
+        }
+
+        const timeZone = await getUserTimeZone(senderId);
+        const now = Date.now();
+        const active = weatherWatcher.getActive();
+        const upcoming = weatherWatcher.getUpcoming(now);
+        const subscriptions = await getWeatherSubscriptions(senderId);
+
+        const lines = ['🌦️ Weather', ''];
+        if (!weatherWatcher.lastUpdate) {
+            lines.push('❓ Weather data is unavailable right now.');
+        } else if (active.length) {
+            lines.push('Now:');
+            lines.push(...active.map(event => `• ${event.name}${event.endsAt ? ` (ends ${formatTime(event.endsAt, timeZone)}, in ${formatDuration(event.endsAt.getTime() - now)})` : ''}`));
+        } else {
+            lines.push('Now: ☀️ Clear - no weather events');
+        }
+
+        if (upcoming.length) {
+            lines.push('', 'Upcoming:');
+            lines.push(...upcoming.map(event => `• ${event.name} at ${formatTime(event.startsAt, timeZone)} (in ${formatDuration(event.startsAt.getTime() - now)})`));
+        }
+
+        lines.push('', subscriptions.length
+            ? `🔔 Your weather alerts: ${subscriptions.map(formatWeatherType).join(', ')}`
+            : '🔕 No weather alerts. Use weather subscribe <type>, e.g. weather subscribe thunderstorm');
+
+        await sendMessage(senderId, lines.join('\n'), {
+            quickReplies: [
+                { title: '🔔 Weather alerts', payload: 'weather subscribe' },
+                ...mainMenuQuickReplies.slice(0, 2)
+            ]
+        });
+
+    } catch (error) {
+        console.error('❌ Error in weather command:', error.message);
+        await sendMessage(senderId, '❌ Sorry, there was an error getting the weather.');
+    }
+};
+
+const rulesUsage = `Usage:\n` +
+    `• rules add <rule> - e.g. rules add item=lightning_rod and weather=thunderstorm\n` +
+    `• rules test <id or rule> - Check a rule against the current stock\n` +
+    `• rules delete <id> - Delete a rule\n\n` +
+    `Conditions: item=, category=, rarity=, quantity>= (also >, <, <=, =), weather= (a type, any or none) ` +
+    `and time=18:00-23:00, joined with and / or / not and grouped with ( )`;
+
+const handleRulesCommand = async (senderId, text) => {
+    try {
+        const rateLimitCheck = isRateLimited(senderId, rateLimitConfig);
+        if (rateLimitCheck.limited) {
+            await sendMessage(senderId, rateLimitCheck.message);
+            return;
+        }
+
+        updateRateLimits(senderId, rateLimitConfig);
+
+        const [, action = '', ...rest] = text.split(/\s+/);
+        const argument = rest.join(' ');
+
+        if (action === 'add') {
+            const rules = await getAlertRules(senderId);
+            if (rules.length >= MAX_ALERT_RULES) {
+                await sendMessage(senderId, `❌ You can have up to ${MAX_ALERT_RULES} rules. Delete one with rules delete <id> first.`);
+                return;
+            }
+
+            let ast;
+            try {
+                ast = parseRule(argument, resolveCategory);
+            } catch (error) {
+                await sendMessage(senderId, `❌ ${error.message}\n\n${rulesUsage}`);
+                return;
+            }
+
+            const expression = formatRule(ast);
+            const id = await addAlertRule(senderId, expression);
+            await sendMessage(senderId, id
+                ? `✅ Rule #${id} saved: ${expression}\n\nUse rules test ${id} to see what it matches right now.`
+                : '❌ Failed to save the rule.');
+            return;
+        }
+
+        if (action === 'delete' || action === 'remove') {
+            const id = parseInt(argument.replace(/^#/, ''), 10);
+            if (!Number.isInteger(id)) {
+                await sendMessage(senderId, 'Usage: rules delete <id>');
+                return;
+            }
+
+            const deleted = await deleteAlertRule(senderId, id);
+            await sendMessage(senderId, deleted ? `✅ Rule #${id} deleted.` : `❓ You don't have a rule #${id}.`);
+            return;
+        }
+
+        if (action === 'test') {
+            // Test a saved rule by id, or a rule typed out in full
+            let ast;
+            if (/^#?\d+$/.test(argument)) {
+                const rule = (await getUserRules(senderId)).find(entry => entry.id === parseInt(argument.replace(/^#/, ''), 10));
+                if (!rule) {
+                    await sendMessage(senderId, `❓ You don't have a rule #${argument.replace(/^#/, '')}.`);
+                    return;
+                }
+                ast = rule.ast;
+            } else {
+                try {
+                    ast = parseRule(argument, resolveCategory);
+                } catch (error) {
+                    await sendMessage(senderId, `❌ ${error.message}`);
+                    return;
+                }
+            }
+
+            const context = getRuleContext(await getUserTimeZone(senderId));
+            const stockData = await stockManager.getStockData();
+            const matches = Object.keys(categoryNames).flatMap(category => (stockData?.[category] || [])
+                .filter(item => item && item.item_id && evaluateRule(ast, { ...item, category }, context))
+                .map(item => `${categoryNames[category]} • ${formatItemSummary([item])}`));
+
+            // Weather and time conditions don't depend on the item, so show where they stand
+            const situation = getConditions(ast)
+                .filter(condition => !ITEM_FIELDS.includes(condition.field) && condition.field !== 'quantity')
+                .map(condition => `• ${formatRule(condition)} ${evaluateCondition(condition, {}, context) ? '✅' : '❌'}`);
+
+            await sendMessage(senderId, `🧪 ${formatRule(ast)}\n\n` +
+                (situation.length ? `Right now:\n${situation.join('\n')}\n\n` : '') +
+                (matches.length
+                    ? `Matches in the current stock:\n${matches.join('\n')}`
+                    : 'Nothing in the current stock matches.'));
+            return;
+        }
+
+        const rules = await getAlertRules(senderId);
+        await sendMessage(senderId, (rules.length
+            ? `⚙️ Your rules\n\n${rules.map(rule => `#${rule.id} ${rule.expression}`).join('\n')}`
+            : '⚙️ You have no conditional rules.') + `\n\n${rulesUsage}`);
+
+    } catch (error) {
+        console.error('❌ Error in rules command:', error.message);
+        await sendMessage(senderId, '❌ Sorry, there was an error with your rules.');
+    }
+};
+
+// Admin side of `news`: review mode and approving held notifications
+const handleNewsReviewCommand = async (senderId, subcommand, id) => {
+    if (subcommand === 'review') {
+        if (id === 'on' || id === 'off') notificationRelay.reviewMode = id === 'on';
+        await sendMessage(senderId, `📰 Review mode is ${notificationRelay.reviewMode ? 'on: new notifications wait for approval' : 'off: new notifications go out right away'}.` +
+            (id === 'on' || id === 'off' ? ' This lasts until the next restart (set NEWS_REVIEW_MODE to change the default).' : '\n\nUsage: news review on|off'));
+        return;
+    }
+
+    if (subcommand === 'pending') {
+        const pending = await getUpstreamNotifications('pending', 10);
+        if (!pending.length) {
+            await sendMessage(senderId, '📰 No notifications waiting for review.');
+            return;
+        }
+
+        await sendMessage(senderId, `📰 Waiting for review:\n\n${pending.map(row => `• ${row.id}: ${row.message}`).join('\n')}\n\n` +
+            `Use news approve <id> or news reject <id>.`, {
+            quickReplies: pending.slice(0, 5).map(row => ({ title: `✅ ${row.id}`, payload: `news approve ${row.id}` }))
+        });
+        return;
+    }
+
+    if (!id) {
+        await sendMessage(senderId, `Usage: news ${subcommand} <id>`);
+        return;
+    }
+
+    // The status check makes a double tap on the button a no-op
+    const approved = subcommand === 'approve';
+    const notification = await updateUpstreamNotificationStatus(id, 'pending', approved ? 'queued' : 'rejected');
+    if (!notification) {
+        await sendMessage(senderId, `❓ No notification ${id} is waiting for review.`);
+        return;
+    }
+
+    if (!approved) {
+        await sendMessage(senderId, `🗑️ Notification ${id} rejected.`);
+        return;
+    }
+
+    const result = await notificationRelay.deliver(notification);
+    const replies = {
+        sent: `✅ Notification ${id} sent to ${result.count} user(s).`,
+        in_progress: `📤 Notification ${id} approved and already going out to news subscribers.`,
+        failed: `⚠️ Notification ${id} approved, but relaying it failed. It will be retried with the next poll.`
+    };
+    await sendMessage(senderId, replies[result.status]);
+};
+
+const handleNewsCommand = async (senderId, text) => {
+    try {
+        const [, action, id] = text.split(/\s+/);
+        const subcommand = (action || '').toLowerCase();
+
+        if (['review', 'pending', 'approve', 'reject'].includes(subcommand)) {
+            if (senderId !== ADMIN_ID) {
+                await sendMessage(senderId, '❌ You are not authorized to use this command.');
+                return;
+            }
+
+            await handleNewsReviewCommand(senderId, subcommand, subcommand === 'review' ? (id || '').toLowerCase() : id);
+            return;
+        }
+
+        const rateLimitCheck = isRateLimited(senderId, rateLimitConfig);
+        if (rateLimitCheck.limited) {
+            await sendMessage(senderId, rateLimitCheck.message);
+            return;
+        }
+
+        updateRateLimits(senderId, rateLimitConfig);
+
+        if (subcommand === 'on' || subcommand === 'off') {
+            const success = await setUserPreferences(senderId, { news: subcommand === 'on' });
+            if (!success) {
+                await sendMessage(senderId, '❌ Failed to update your news setting.');
+                return;
+            }
+
+            if (subcommand === 'off') {
+                await sendMessage(senderId, '✅ You will no longer get game announcements.');
+                return;
+            }
+
+            const note = subscriptionNote(senderId, 'Game announcements');
+            await sendMessage(senderId, `✅ You will now get game announcements as they come in.${note.text}`, {
+                quickReplies: note.quickReplies
+            });
+            return;
+        }
+
+        const [preferences, latest, timeZone] = await Promise.all([
+            getUserPreferences(senderId),
+            getUpstreamNotifications('sent', 5),
+            getUserTimeZone(senderId)
+        ]);
+
+        const lines = latest.map(row => `• ${formatDateTime(new Date(row.received_at), timeZone)}\n${row.message}`);
+        await sendMessage(senderId, `📰 Game announcements are ${preferences.news ? 'on' : 'off'} for you.\n\n` +
+            (lines.length ? `Latest:\n${lines.join('\n\n')}` : 'No announcements yet.'), {
+            quickReplies: [preferences.news
+                ? { title: '🔕 Turn off', payload: 'news off' }
+                : { title: '🔔 Turn on', payload: 'news on' }]
+        });
+
+    } catch (error) {
+        console.error('❌ Error in news command:', error.message);
+        await sendMessage(senderId, '❌ Sorry, there was an error with the news command.');
+    }
+};
+
+const handleStatusCommand = async (senderId) => {
+    try {
+        const rateLimitCheck = isRateLimited(senderId, rateLimitConfig);
+        if (rateLimitCheck.limited) {
+            await sendMessage(senderId, rateLimitCheck.message);
+            return;
+        }
+
+        updateRateLimits(senderId, rateLimitConfig);
+
+        // Get detailed WebSocket status
+        const wsActive = websocketManager.isConnectionActive();
+        const wsDetails = websocketManager.getDetailedStatus();
+        const subscriberCount = stockManager.subscribers.size;
+        const lastStockData = websocketManager.getLastStockData();
+        const queueStatus = messageQueue.getStatus();
+
+        // Determine WebSocket status with more detail
+        let wsStatus;
+        if (wsActive) {
+            wsStatus = '🟢 Active';
+        } else if (wsDetails.isConnected) {
+            wsStatus = '🟡 Connected but not ready';
+        } else if (wsDetails.hasWebSocket) {
+            wsStatus = '🔴 Disconnected';
+        } else {
+            wsStatus = '🔴 Not initialized';
+        }
+
+        // Ready state mapping
+        const readyStateMap = {
+            0: 'CONNECTING',
+            1: 'OPEN',
+            2: 'CLOSING',
+            3: 'CLOSED'
+        };
+
+        const message = `📊 Bot Status\n\n` +
+            `WebSocket: ${wsStatus}\n` +
+            `Connection State: ${wsDetails.isConnected ? 'Connected' : 'Disconnected'}\n` +
+            `Ready State: ${wsDetails.readyState !== null ? readyStateMap[wsDetails.readyState] : 'No WebSocket'}\n` +
+            `Reconnect Attempts: ${wsDetails.reconnectAttempts}\n` +
+            `Subscribers: ${subscriberCount}\n` +
+            `Message Queue: ${queueStatus.queued} queued, ${queueStatus.waitingRetries} retrying${queueStatus.paused ? ' (paused)' : ''}\n` +
+            `Last Update: ${lastStockData ? 'Available' : 'None'}`;
+
+        await sendMessage(senderId, message);
+
+    } catch (error) {
+        console.error('❌ Error in status command:', error.message);
+        await sendMessage(senderId, '❌ Sorry, there was an error getting the bot status.');
+    }
+};
+
+const handleHelpCommand = async (senderId) => {
+    try {
+        const rateLimitCheck = isRateLimited(senderId, rateLimitConfig);
+        if (rateLimitCheck.limited) {
+            await sendMessage(senderId, rateLimitCheck.message);
+            return;
+        }
+
+        updateRateLimits(senderId, rateLimitConfig);
+
+        const helpMessage = `🤖 RelStocks Bot Commands
+
+📦 Stock Commands:
+• \`stock\` - Check for alert items (5 min cooldown)
+• \`all\` - Show all current stock items
+• \`history <item>\` - When an item was last in stock and how often
+• \`predict <item> [restocks]\` - Chance of an item in the next restocks and expected wait
+• \`next\` - Countdown to the next restock of each category
+• \`weather\` - Current and upcoming weather events
+
+🔔 Subscription Commands:
+• \`subscribe\` - Subscribe to stock alerts
+• \`unsubscribe\` - Unsubscribe from stock alerts
+• \`renew\` - Renew permission to receive alerts
+• \`weather subscribe <type>\` - Get an alert when a weather event starts and ends (e.g., weather subscribe thunderstorm)
+• \`news on\` / \`news off\` - Get game announcements (\`news\` shows the latest)
+
+🔔 Custom Alert Commands:
+• \`add <category> <item>\` - Add custom alert (e.g., add seed bell_pepper or add seed Bell Pepper)
+• \`add <category> <item> >=<quantity>\` - Only alert when enough are in stock (e.g., add seed banana >=5)
+• \`add <category> <item>, <item>, ...\` - Add several alerts at once (e.g., add seed banana, kiwi, loquat)
+• \`add <category> *\` - Alert on any item in a category (e.g., add egg *)
+• \`add rarity <tier>\` - Alert on any item of a rarity (e.g., add rarity mythical, divine)
+• \`remove <category> <item>\` - Remove custom alert (\`remove <category> any\` removes just the any-item alert, \`remove <category> *\` clears the category)
+• \`myalerts\` - View your custom alerts
+• \`rules add <rule>\` - Conditional alert, e.g. rules add item=lightning_rod and weather=thunderstorm (\`rules\` to list, test and delete)
+• \`defaultalerts\` - View default alert items
+
+🎨 Display Commands:
+• \`style rich\` / \`style plain\` - Show stock and alerts as cards or plain text
+• \`mode full\` / \`mode diff\` - Alerts list everything or only what changed
+• \`timezone <zone>\` - Show times in your timezone (e.g., timezone Europe/London)
+• \`quiet 23:00-07:00\` - Hold alerts overnight and get one summary after (\`quiet off\` to stop)
+• \`urgent <category> <item>\` - Let an alert through during quiet hours (\`urgent off ...\` to undo)
+• \`snooze 2h\` / \`snooze seed kiwi 1d\` - Pause all alerts or one item for a while (\`unsnooze\` to resume)
+
+🚀 Getting Started:
+• \`setup\` - Run the guided setup again
+
+📊 Status Commands:
+• \`status\` - Check bot status and WebSocket connection
+• \`help\` - Show this help message
+• \`about\` - About the bot
+
+💡 Tips:
+• Use \`stock\` to check for your alert items
+• Use \`all\` to see everything in stock
+• Tap the menu or the buttons under a message instead of typing
+• Real-time alerts are sent automatically when items become available
+• Categories: seed, gear, egg, eventshop, cosmetic
+
+⏱️ Rate Limits:
+• 2 seconds between commands
+• 5 minutes between stock checks
+• 100 commands per day maximum`;
+
+        await sendMessage(senderId, helpMessage, { quickReplies: mainMenuQuickReplies });
+
+    } catch (error) {
+        console.error('❌ Error in help command:', error.message);
+        await sendMessage(senderId, '❌ Sorry, there was an error showing the help message.');
+    }
+};
+
+// Alert commands edit the sender's own alerts by default. The admin edits a Discord
+// channel's list with `discord <name> add|remove ...`, and its buttons keep that prefix.
+const ownAlerts = (senderId) => ({ userId: senderId, commandPrefix: '', myAlertsCommand: 'myalerts' });
+
+const handleAddAlertCommand = async (senderId, text, scope = ownAlerts(senderId)) => {
+    try {
+        const rateLimitCheck = isRateLimited(senderId, rateLimitConfig);
+        if (rateLimitCheck.limited) {
+            await sendMessage(senderId, rateLimitCheck.message);
+            return;
+        }
+
+        updateRateLimits(senderId, rateLimitConfig);
+
+        const parts = text.toLowerCase().split(' ').filter(Boolean);
+
+        // No category yet - let the user pick one
+        if (parts.length === 1) {
+            await sendMessage(senderId, '➕ Which category do you want an alert for?', {
+                quickReplies: categoryQuickReplies(`${scope.commandPrefix}add`)
+            });
+            return;
+        }
+
+        let category = parts[1];
+
+        // Item names may be display names with spaces, optionally followed by ">=5";
+        // several items can be given separated by commas
+        const entries = parts.slice(2).join(' ')
+            .split(',')
+            .map(parseItemAndThreshold)
+            .filter(entry => entry.name || entry.minQuantity != null);
+
+        if (entries.some(entry => !entry.name || entry.name.includes('>'))) {
+            await sendMessage(senderId, '❌ Usage: add <category> <item>[, <item>...] [>=quantity]\nExamples: add seed banana >=5, add seed banana, kiwi, add egg *');
+            return;
+        }
+
+        if (entries.length > MAX_BULK_ALERTS) {
+            await sendMessage(senderId, `❌ You can add up to ${MAX_BULK_ALERTS} items at once.`);
+            return;
+        }
+
+        if (categoryAlias[category]) category = categoryAlias[category];
+
+        if (category === RARITY_CATEGORY) {
+            await addRarityAlerts(senderId, entries, scope);
+            return;
+        }
+
+        const validCategories = ['seed_stock', 'gear_stock', 'egg_stock', 'eventshop_stock', 'cosmetic_stock'];
+        if (!validCategories.includes(category)) {
+            await sendMessage(senderId, `❌ Invalid category "${category}". Valid categories: ${validCategories.join(', ')}, ${RARITY_CATEGORY}`);
+            return;
+        }
+
+        const categoryName = categoryNames[category] || category;
+
+        // No item yet - offer what is currently in stock for that category
+        if (!entries.length) {
+            const stockData = await stockManager.getStockData();
+            const itemIds = [...new Set((stockData?.[category] || [])
+                .filter(item => item && item.item_id)
+                .map(item => item.item_id))].sort();
+
+            if (!itemIds.length) {
+                await sendMessage(senderId, `ℹ️ Nothing in ${categoryName} is in stock right now.\nType add <category> <item_id> to add an alert manually.`);
+                return;
+            }
+
+            await sendMessage(senderId, `➕ Pick an item from ${categoryName} currently in stock, or type add <category> <item_id>:`, {
+                quickReplies: itemIds.map(id => ({ title: formatItemName(id), payload: `${scope.commandPrefix}add ${category} ${id}` }))
+            });
+            return;
+        }
+
+        const added = [];
+        const failed = [];
+        const unknown = [];
+        const suggestionReplies = [];
+
+        for (const { name, minQuantity } of entries) {
+            // "*" matches any item in the category; otherwise only items the
+            // feed has ever shown can fire, so catch typos here
+            const { itemId, suggestions } = name === WILDCARD_ITEM
+                ? { itemId: WILDCARD_ITEM, suggestions: [] }
+                : itemCatalog.resolve(category, name);
+
+            if (!itemId) {
+                const threshold = minQuantity != null ? ` >=${minQuantity}` : '';
+                unknown.push(name);
+                suggestionReplies.push(...suggestions.map(id => ({
+                    title: formatItemName(id),
+                    payload: `${scope.commandPrefix}add ${category} ${id}${threshold}`
+                })));
+                continue;
+            }
+
+            const success = await addAlert(scope.userId, category, itemId, minQuantity);
+            (success ? added : failed).push(formatAlertRule({ itemId, minQuantity }));
+        }
+
+        const lines = [];
+        if (added.length) {
+            lines.push(`✅ Alert${added.length > 1 ? 's' : ''} added for ${added.join(', ')} in ${categoryName}`);
+        }
+        if (failed.length) {
+            lines.push(`❌ Failed to add alert${failed.length > 1 ? 's' : ''} for ${failed.join(', ')}.`);
+        }
+        if (unknown.length) {
+            const names = unknown.map(name => `"${name}"`).join(', ');
+            lines.push(suggestionReplies.length
+                ? `❓ ${names} ${unknown.length > 1 ? 'aren\'t known' : 'isn\'t a known'} ${categoryName} item${unknown.length > 1 ? 's' : ''}. Did you mean one of these?`
+                : `❓ ${names} ${unknown.length > 1 ? 'aren\'t known' : 'isn\'t a known'} ${categoryName} item${unknown.length > 1 ? 's' : ''}. Type ${scope.commandPrefix}add ${parts[1]} to pick from what's in stock.`);
+        }
+
+        await sendMessage(senderId, lines.join('\n\n'), {
+            quickReplies: suggestionReplies.length
+                ? uniqueQuickReplies(suggestionReplies)
+                : added.length
+                    ? [
+                        { title: '➕ Add Another', payload: `${scope.commandPrefix}add ${category}` },
+                        { title: '🔔 My Alerts', payload: scope.myAlertsCommand }
+                    ]
+                    : []
+        });
+
+    } catch (error) {
+        console.error('❌ Error in add alert command:', error.message);
+        await sendMessage(senderId, '❌ Sorry, there was an error adding the alert.');
+    }
+};
+
+// "add rarity mythical, divine": alert on any item tagged with these tiers
+const addRarityAlerts = async (senderId, entries, scope) => {
+    const tierReplies = Object.entries(rarityTiers).map(([tier, { label, badge }]) => ({
+        title: `${badge} ${label}`,
+        payload: `${scope.commandPrefix}add ${RARITY_CATEGORY} ${tier}`
+    }));
+
+    if (!entries.length) {
+        await sendMessage(senderId, '💎 Which rarity do you want alerts for? Any item of that tier will trigger one.', {
+            quickReplies: tierReplies
+        });
+        return;
+    }
+
+    const added = [];
+    const unknown = [];
+
+    for (const { name, minQuantity } of entries) {
+        const tier = toItemId(name);
+        if (!rarityTiers[tier]) {
+            unknown.push(name);
+            continue;
+        }
+
+        if (await addAlert(scope.userId, RARITY_CATEGORY, tier, minQuantity)) {
+            added.push(formatAlertRule({ itemId: tier, minQuantity }));
+        }
+    }
+
+    const lines = [];
+    if (added.length) {
+        lines.push(`✅ You'll get alerts for any ${added.join(', ')} item`);
+    }
+    if (unknown.length) {
+        lines.push(`❓ Unknown rarity ${unknown.map(name => `"${name}"`).join(', ')}. Pick one of these:`);
+    }
+    if (!added.length && !unknown.length) {
+        lines.push('❌ Failed to add alert.');
+    }
+
+    await sendMessage(senderId, lines.join('\n\n'), {
+        quickReplies: unknown.length ? tierReplies : [{ title: '🔔 My Alerts', payload: scope.myAlertsCommand }]
+    });
+};
+
+const handleRemoveAlertCommand = async (senderId, text, scope = ownAlerts(senderId)) => {
+    try {
+        const rateLimitCheck = isRateLimited(senderId, rateLimitConfig);
+        if (rateLimitCheck.limited) {
+            await sendMessage(senderId, rateLimitCheck.message);
+            return;
+        }
+
+        updateRateLimits(senderId, rateLimitConfig);
+
+        const parts = text.toLowerCase().split(' ').filter(Boolean);
+        let category = parts[1];
+        const itemNames = parts.slice(2).join(' ')
+            .split(',')
+            .map(name => name.trim())
+            .filter(Boolean);
+
+        const userAlerts = await getUserAlerts(scope.userId);
+        if (!userAlerts || Object.keys(userAlerts).length === 0) {
+            await sendMessage(senderId, '🔕 You have no active alerts to remove.');
+            return;
+        }
+
+        if (category && categoryAlias[category]) category = categoryAlias[category];
+
+        // Without an item, offer the user's own alerts as buttons
+        if (!itemNames.length) {
+            const options = [];
+            for (const [alertCategory, rules] of Object.entries(userAlerts)) {
+                if (category && alertCategory !== category) continue;
+                // "*" would clear the whole category, so the wildcard rule is removed by name
+                options.push(...rules.map(rule => ({
+                    title: formatAlertRule(rule),
+                    payload: `${scope.commandPrefix}remove ${alertCategory} ${rule.itemId === WILDCARD_ITEM ? WILDCARD_RULE_NAME : rule.itemId}`
+                })));
+            }
+
+            if (!options.length) {
+                await sendMessage(senderId, `🔕 You have no alerts in ${alertCategoryNames[category] || category}.`);
+                return;
+            }
+
+            await sendMessage(senderId, '➖ Which alert do you want to remove?', { quickReplies: options });
+            return;
+        }
+
+        const validCategories = ['seed_stock', 'gear_stock', 'egg_stock', 'eventshop_stock', 'cosmetic_stock', RARITY_CATEGORY];
+        if (!validCategories.includes(category)) {
+            await sendMessage(senderId, `❌ Invalid category "${category}". Valid categories: ${validCategories.join(', ')}`);
+            return;
+        }
+
+        const categoryName = alertCategoryNames[category] || category;
+
+        // "*" clears the whole category, wildcard rule included
+        if (itemNames.includes(WILDCARD_ITEM)) {
+            const removed = await removeCategoryAlerts(scope.userId, category);
+            await sendMessage(senderId, removed === null
+                ? '❌ Failed to remove alerts.'
+                : `✅ Removed ${removed} alert(s) in ${categoryName}`);
+            return;
+        }
+
+        if (itemNames.length > MAX_BULK_ALERTS) {
+            await sendMessage(senderId, `❌ You can remove up to ${MAX_BULK_ALERTS} items at once.`);
+            return;
+        }
+
+        // Match against the user's own alerts so old, uncatalogued ones can still be removed
+        const alertIds = (userAlerts[category] || []).map(rule => rule.itemId);
+        const removed = [];
+        const failed = [];
+        const unknown = [];
+        const suggestionReplies = [];
+
+        for (const itemName of itemNames) {
+            const itemId = itemName === WILDCARD_RULE_NAME && alertIds.includes(WILDCARD_ITEM) ? WILDCARD_ITEM : toItemId(itemName);
+            if (!alertIds.includes(itemId)) {
+                unknown.push(itemName);
+                suggestionReplies.push(...itemCatalog.suggest(itemName, alertIds).map(id => ({
+                    title: formatItemName(id),
+                    payload: `${scope.commandPrefix}remove ${category} ${id}`
+                })));
+                continue;
+            }
+
+            const success = await removeAlert(scope.userId, category, itemId);
+            (success ? removed : failed).push(itemId === WILDCARD_ITEM ? 'Any item' : formatItemName(itemId));
+        }
+
+        const lines = [];
+        if (removed.length) {
+            lines.push(`✅ Alert${removed.length > 1 ? 's' : ''} removed for ${removed.join(', ')} in ${categoryName}`);
+        }
+        if (failed.length) {
+            lines.push(`❌ Failed to remove alert${failed.length > 1 ? 's' : ''} for ${failed.join(', ')}.`);
+        }
+        if (unknown.length) {
+            const names = unknown.map(name => `"${name}"`).join(', ');
+            lines.push(suggestionReplies.length
+                ? `❓ You don't have an alert for ${names} in ${categoryName}. Did you mean one of these?`
+                : `❓ You don't have an alert for ${names} in ${categoryName}. Type ${scope.myAlertsCommand} to see your alerts.`);
+        }
+
+        await sendMessage(senderId, lines.join('\n\n'), { quickReplies: uniqueQuickReplies(suggestionReplies) });
+
+    } catch (error) {
+        console.error('❌ Error in remove alert command:', error.message);
+        await sendMessage(senderId, '❌ Sorry, there was an error removing the alert.');
+    }
+};
+
+const handleMyAlertsCommand = async (senderId) => {
+    try {
+        const rateLimitCheck = isRateLimited(senderId, rateLimitConfig);
+        if (rateLimitCheck.limited) {
+            await sendMessage(senderId, rateLimitCheck.message);
+            return;
+        }
+
+        updateRateLimits(senderId, rateLimitConfig);
+
+        const userAlerts = await getUserAlerts(senderId);
+        const conditionalRules = await getAlertRules(senderId);
+        if ((!userAlerts || Object.keys(userAlerts).length === 0) && !conditionalRules.length) {
+            await sendMessage(senderId, '🔕 You have no active alerts. Use add <category> <item_id> to add one.', {
+                quickReplies: [{ title: '➕ Add Alert', payload: 'add' }]
+            });
+            return;
+        }
+
+        let alertMsg = `🔔 Your Active Alerts\n\n`;
+        for (const [category, rules] of Object.entries(userAlerts)) {
+            const categoryName = alertCategoryNames[category] || category;
+            alertMsg += `${categoryName}\n${rules.map(rule => `• ${formatAlertRule(rule)}`).join('\n')}\n\n`;
+        }
+        if (conditionalRules.length) {
+            alertMsg += `⚙️ Rules\n${conditionalRules.map(rule => `• #${rule.id} ${rule.expression}`).join('\n')}\n\n`;
+        }
+        await sendMessage(senderId, alertMsg, {
+            quickReplies: [
+                { title: '➕ Add Alert', payload: 'add' },
+                { title: '➖ Remove Alert', payload: 'remove' }
+            ]
+        });
+
+    } catch (error) {
+        console.error('❌ Error in my alerts command:', error.message);
+        await sendMessage(senderId, '❌ Sorry, there was an error fetching your alerts.');
+    }
+};
+
+const handleDefaultAlertsCommand = async (senderId) => {
+    try {
+        const rateLimitCheck = isRateLimited(senderId, rateLimitConfig);
+        if (rateLimitCheck.limited) {
+            await sendMessage(senderId, rateLimitCheck.message);
+            return;
+        }
+
+        updateRateLimits(senderId, rateLimitConfig);
+
+        let alertsMessage = `🔔 Default Stock Alerts\n\n`;
+
+        for (const [category, items] of Object.entries(defaultAlerts)) {
+            const categoryName = categoryNames[category] || category;
+            const formattedItems = items.map(item => `• ${formatItemName(item)}`).join('\n');
+            alertsMessage += `${categoryName}\n${formattedItems}\n\n`;
+        }
+
+        alertsMessage += `ℹ️ These are the items that will trigger notifications when they are in stock.`;
+        await sendMessage(senderId, alertsMessage);
+
+    } catch (error) {
+        console.error('❌ Error in default alerts command:', error.message);
+        await sendMessage(senderId, '❌ Sorry, there was an error fetching default alerts.');
+    }
+};
+
+// Buttons tapped during onboarding ("onboard subscribe", "onboard pick seed kiwi", ...)
+const handleOnboardCommand = async (senderId, text) => {
+    try {
+        const rateLimitCheck = isRateLimited(senderId, rateLimitConfig);
+        if (rateLimitCheck.limited) {
+            await sendMessage(senderId, rateLimitCheck.message);
+            return;
+        }
+
+        updateRateLimits(senderId, rateLimitConfig);
+        await onboardingManager.handle(senderId, text);
+
+    } catch (error) {
+        console.error('❌ Error in onboard command:', error.message);
+        await sendMessage(senderId, '❌ Sorry, there was an error with the setup. Please try again later.');
+    }
+};
+
+const handleAboutCommand = async (senderId) => {
+    try {
+        const rateLimitCheck = isRateLimited(senderId, rateLimitConfig);
+        if (rateLimitCheck.limited) {
+            await sendMessage(senderId, rateLimitCheck.message);
+            return;
+        }
+
+        updateRateLimits(senderId, rateLimitConfig);
+
+        const aboutMessage = `🤖 About the Bot\n\n` +
+            `• This bot is developed by Janrell Quiaroro(Rel).\n\n` +
+            `• It checks the stock of the game Grow a Garden (Roblox) every 5 minutes and sends notifications to users when new items are in stock.\n\n` +
+            `• Rel created this bot for his own use, but decided to share it with the community.\n\n` +
+            `• The services of this bot is free, Shout out to JoshLei for providing the API.\n\n` +
+            `• Please DO NOT abuse the services of this bot, and keep the minimize sending commands.\n\n` +
+            `• If you have any suggestions, please contact Rel on discord (@reruu).\n\n`;
+        await sendMessage(senderId, aboutMessage);
+
+    } catch (error) {
+        console.error('❌ Error in about command:', error.message);
+        await sendMessage(senderId, '❌ Sorry, there was an error showing the about information.');
+    }
+};
+
+const handleBroadcastCommand = async (senderId, text) => {
+    try {
+        // Check if user is admin
+        if (senderId !== ADMIN_ID) {
+            await sendMessage(senderId, '❌ You are not authorized to use this command.');
+            return;
+        }
+
+        const rateLimitCheck = isRateLimited(senderId, rateLimitConfig);
+        if (rateLimitCheck.limited) {
+            await sendMessage(senderId, rateLimitCheck.message);
+            return;
+        }
+
+        // Check broadcast cooldown
+        const lastBroadcast = recentBroadcasts.get(senderId) || 0;
+        const timeSinceLastBroadcast = Date.now() - lastBroadcast;
+
+        if (timeSinceLastBroadcast < BROADCAST_COOLDOWN) {
+            const remainingTime = Math.ceil((BROADCAST_COOLDOWN - timeSinceLastBroadcast) / 1000);
+            await sendMessage(senderId, `⏳ Please wait ${remainingTime} second(s) before sending another broadcast.`);
+            return;
+        }
+
+        // Extract message from command
+        const message = text.slice('broadcast '.length).trim();
+        if (!message) {
+            await sendMessage(senderId, '❌ Please provide a message to broadcast.\nUsage: broadcast <your message>');
+            return;
+        }
+
+        // Check message length
+        if (message.length > 1000) {
+            await sendMessage(senderId, '❌ Broadcast message is too long. Please keep it under 1000 characters.');
+            return;
+        }
+
+        // Check if this message was recently sent to prevent spam
+        const messageHash = Buffer.from(message).toString('base64').substring(0, 20);
+        if (recentBroadcasts.has(messageHash)) {
+            await sendMessage(senderId, '❌ This message was recently broadcasted. Please wait before sending the same message again.');
+            return;
+        }
+
+        updateRateLimits(senderId, rateLimitConfig);
+        recentBroadcasts.set(senderId, Date.now());
+        recentBroadcasts.set(messageHash, Date.now());
+
+        // Clean up old broadcast tracking
+        setTimeout(() => {
+            recentBroadcasts.delete(messageHash);
+        }, BROADCAST_MESSAGE_TRACKING_DURATION);
+
+        // Create broadcast message with unique identifier
+        const broadcastId = Date.now().toString();
+        const broadcastMessage = `📢 Broadcast Message\n\n${message}\n\n-Rel`;
+
+        let successCount = 0;
+        let failCount = 0;
+
+        // Broadcasts are for people on Messenger and Telegram, not the Discord channels
+        const userSubscribers = Array.from(stockManager.subscribers).filter(userId => !discordChannel.ownsUser(userId));
+
+        // Only subscribers we are allowed to message outside a conversation
+        const recipients = userSubscribers.filter(userId => canNotifyUser(userId));
+        const skippedCount = userSubscribers.length - recipients.length;
+
+        console.log(`📢 Starting broadcast to ${userSubscribers.length} subscribers...`);
+        console.log(`Broadcast ID: ${broadcastId}`);
+        console.log(`Message: ${message.substring(0, 100)}...`);
+
+        // Send initial confirmation to admin
+        await sendMessage(senderId, `📢 Broadcasting message to ${userSubscribers.length} subscribers...\nBroadcast ID: ${broadcastId}`);
+
+        // The message queue handles throttling and retries, failures end up in dead letters
+        const broadcastPromises = recipients.map(async (userId) => {
+            try {
+                const sent = await sendMessage(userId, broadcastMessage, { notification: true, priority: 'low' });
+                if (sent) {
+                    successCount++;
+                    console.log(`✅ Broadcast sent to ${userId}`);
+                } else {
+                    console.error(`❌ Failed to send broadcast to subscriber ${userId}`);
+                    failCount++;
+                }
+            } catch (err) {
+                console.error(`❌ Error sending broadcast to ${userId}:`, err.message);
+                failCount++;
+            }
+        });
+
+        // Wait for all broadcasts to be sent
+        await Promise.allSettled(broadcastPromises);
+
+        // Send final confirmation message
+        const confirmationMessage = `✅ Broadcast Complete!\n\n` +
+            `📊 Results:\n` +
+            `• Successfully sent: ${successCount}\n` +
+            `• Failed to send: ${failCount}${failCount ? ' (see `deadletters`)' : ''}\n` +
+            `• Skipped (no opt-in): ${skippedCount}\n` +
+            `• Total subscribers: ${userSubscribers.length}\n` +
+            `• Broadcast ID: ${broadcastId}\n\n` +
+            `⏰ Sent at: ${new Date().toLocaleString()}`;
+
+        await sendMessage(senderId, confirmationMessage);
+
+        // Log broadcast completion
+        console.log(`📢 Broadcast completed - Success: ${successCount}, Failed: ${failCount}`);
+
+    } catch (error) {
+        console.error('❌ Error in broadcast command:', error.message);
+        await sendMessage(senderId, '❌ Sorry, there was an error sending the broadcast. Please try again later.');
+    }
+};
+
+const handleMetaCommand = async (senderId, text) => {
+    try {
+        if (senderId !== ADMIN_ID) {
+            await sendMessage(senderId, '❌ You are not authorized to use this command.');
+            return;
+        }
+
+        const usage = `🏷️ Item metadata\n\n` +
+            `• meta <item> - Show an item's metadata\n` +
+            `• meta set <item> <field> <value> - Set ${itemMetadata.getFields().join(', ')}\n` +
+            `• meta clear <item> [field] - Clear one field or the whole entry\n` +
+            `• meta reload - Reload the metadata file and saved edits\n\n` +
+            `Rarities: ${Object.keys(rarityTiers).join(', ')}`;
+
+        const [, action, ...args] = text.split(/\s+/);
+        const subcommand = (action || '').toLowerCase();
+
+        if (!subcommand) {
+            await sendMessage(senderId, usage);
+            return;
+        }
+
+        if (subcommand === 'reload') {
+            const count = await itemMetadata.load();
+            await sendMessage(senderId, `✅ Reloaded metadata for ${count} item(s).`);
+            return;
+        }
+
+        if (subcommand === 'set') {
+            const [item, field, ...value] = args;
+            if (!item || !field || !value.length) {
+                await sendMessage(senderId, `❌ Usage: meta set <item> <field> <value>\nExample: meta set sugar_apple rarity prismatic`);
+                return;
+            }
+
+            const itemId = toItemId(item);
+            try {
+                await itemMetadata.set(itemId, field.toLowerCase(), value.join(' '));
+            } catch (error) {
+                await sendMessage(senderId, `❌ ${error.message}`);
+                return;
+            }
+
+            await sendMessage(senderId, `✅ Updated ${field.toLowerCase()} for ${formatItemName(itemId)}`);
+            return;
+        }
+
+        if (subcommand === 'clear') {
+            const [item, field] = args;
+            if (!item) {
+                await sendMessage(senderId, '❌ Usage: meta clear <item> [field]');
+                return;
+            }
+
+            const itemId = toItemId(item);
+            const cleared = await itemMetadata.clear(itemId, field ? field.toLowerCase() : null);
+            await sendMessage(senderId, cleared
+                ? `✅ Cleared ${field ? field.toLowerCase() : 'metadata'} for ${formatItemName(itemId)}`
+                : `ℹ️ ${formatItemName(itemId)} has no metadata.`);
+            return;
+        }
+
+        const itemId = toItemId(action);
+        const metadata = itemMetadata.get(itemId);
+        if (!metadata) {
+            await sendMessage(senderId, `ℹ️ ${formatItemName(itemId)} has no metadata.\n\n${usage}`);
+            return;
+        }
+
+        const rarity = rarityTiers[metadata.rarity];
+        const details = [
+            `Rarity: ${rarity ? `${rarity.badge} ${rarity.label}` : 'not set'}`,
+            `Name: ${metadata.name || 'not set'}`,
+            `Emoji: ${metadata.emoji || 'not set'}`,
+            `Price: ${metadata.price != null ? metadata.price.toLocaleString() : 'not set'}`
+        ];
+        await sendMessage(senderId, `🏷️ ${formatItemName(itemId)} (${itemId})\n\n${details.join('\n')}`);
+
+    } catch (error) {
+        console.error('❌ Error in meta command:', error.message);
+        await sendMessage(senderId, '❌ Sorry, there was an error updating the item metadata.');
+    }
+};
+
+const handleDeadLettersCommand = async (senderId) => {
+    try {
+        if (senderId !== ADMIN_ID) {
+            await sendMessage(senderId, '❌ You are not authorized to use this command.');
+            return;
+        }
+
+        const deadLetters = await getDeadLetters(10);
+        if (!deadLetters.length) {
+            await sendMessage(senderId, '✅ No failed messages in the dead-letter store.');
+            return;
+        }
+
+        const lines = deadLetters.map(letter => {
+            const preview = (letter.payload?.message || '').replace(/\s+/g, ' ').substring(0, 60);
+            return `#${letter.id} → ${letter.recipient_id}\n` +
+                `   ${letter.error}${letter.error_code ? ` (code ${letter.error_code})` : ''}, ${letter.attempts} attempt(s)\n` +
+                `   "${preview}"`;
+        });
+
+        await sendMessage(senderId, `💀 Failed Messages (latest ${deadLetters.length})\n\n${lines.join('\n\n')}\n\n` +
+            `Use replay <id> or replay all to send them again.`);
+
+    } catch (error) {
+        console.error('❌ Error in dead letters command:', error.message);
+        await sendMessage(senderId, '❌ Sorry, there was an error fetching failed messages.');
+    }
+};
+
+const handleReplayCommand = async (senderId, text) => {
+    try {
+        if (senderId !== ADMIN_ID) {
+            await sendMessage(senderId, '❌ You are not authorized to use this command.');
+            return;
+        }
+
+        const target = text.slice('replay '.length).trim();
+        let deadLetters = await getDeadLetters(100);
 
-        const aboutMessage = `🤖 About the Bot\n\n` +
-            `• This bot is developed by Janrell Quiaroro(Rel).\n\n` +
-            `• It checks the stock of the game Grow a Garden (Roblox) every 5 minutes and sends notifications to users when new items are in stock.\n\n` +
-            `• Rel created this bot for his own use, but decided to share it with the community.\n\n` +
-            `• The services of this bot is free, Shout out to JoshLei for providing the API.\n\n` +
-            `• Please DO NOT abuse the services of this bot, and keep the minimize sending commands.\n\n` +
-            `• If you have any suggestions, please contact Rel on discord (@reruu).\n\n`;
-        await sendMessage(senderId, aboutMessage);
+        if (target !== 'all') {
+            const id = Number(target);
+            deadLetters = deadLetters.filter(letter => letter.id === id);
+            if (!Number.isInteger(id) || !deadLetters.length) {
+                await sendMessage(senderId, '❌ Usage: replay <id> or replay all\nUse deadletters to see failed message ids.');
+                return;
+            }
+        }
+
+        // Remove from the store first; a repeated failure is dead-lettered again with a new id
+        for (const letter of deadLetters) {
+            await deleteDeadLetter(letter.id);
+            sendMessage(letter.recipient_id, letter.payload.message, {
+                ...letter.payload.options,
+                priority: 'low'
+            }).catch(err => console.error(`❌ Replay to ${letter.recipient_id} failed again:`, err.message));
+        }
+
+        await sendMessage(senderId, `🔁 Replaying ${deadLetters.length} failed message(s).`);
 
     } catch (error) {
-        console.error('❌ Error in about command:', error.message);
-        await sendMessage(senderId, '❌ Sorry, there was an error showing the about information.');
+        console.error('❌ Error in replay command:', error.message);
+        await sendMessage(senderId, '❌ Sorry, there was an error replaying failed messages.');
     }
 };
 
-const handleBroadcastCommand = async (senderId, text) => {
+const handleInactiveCommand = async (senderId) => {
     try {
-        // Check if user is admin
         if (senderId !== ADMIN_ID) {
             await sendMessage(senderId, '❌ You are not authorized to use this command.');
             return;
         }
 
-        const rateLimitCheck = isRateLimited(senderId, rateLimitConfig);
-        if (rateLimitCheck.limited) {
-            await sendMessage(senderId, rateLimitCheck.message);
+        const inactive = await getInactiveSubscribers(20);
+        if (!inactive.length) {
+            await sendMessage(senderId, '✅ No subscribers have been auto-unsubscribed.');
             return;
         }
 
-        // Check broadcast cooldown
-        const lastBroadcast = recentBroadcasts.get(senderId) || 0;
-        const timeSinceLastBroadcast = Date.now() - lastBroadcast;
+        const lines = inactive.map(row => {
+            const when = row.deactivated_at ? new Date(row.deactivated_at).toLocaleString() : 'unknown';
+            return `• ${row.user_id} - ${when}\n   ${row.last_error || 'No reason recorded'}`;
+        });
 
-        if (timeSinceLastBroadcast < BROADCAST_COOLDOWN) {
-            const remainingTime = Math.ceil((BROADCAST_COOLDOWN - timeSinceLastBroadcast) / 1000);
-            await sendMessage(senderId, `⏳ Please wait ${remainingTime} second(s) before sending another broadcast.`);
-            return;
-        }
+        await sendMessage(senderId, `🚫 Inactive Subscribers (latest ${inactive.length})\n\n${lines.join('\n')}`);
 
-        // Extract message from command
-        const message = text.slice('broadcast '.length).trim();
-        if (!message) {
-            await sendMessage(senderId, '❌ Please provide a message to broadcast.\nUsage: broadcast <your message>');
+    } catch (error) {
+        console.error('❌ Error in inactive command:', error.message);
+        await sendMessage(senderId, '❌ Sorry, there was an error fetching inactive subscribers.');
+    }
+};
+
+// Discord channel names double as the command that manages them, so they can't shadow a subcommand
+const DISCORD_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const DISCORD_SUBCOMMANDS = ['list', 'connect', 'disconnect'];
+
+// Admin: post alerts to Discord channels through their webhooks. Each channel has
+// its own alert list, edited with the usual add/remove commands under `discord <name>`.
+const handleDiscordCommand = async (senderId, text) => {
+    try {
+        if (senderId !== ADMIN_ID) {
+            await sendMessage(senderId, '❌ You are not authorized to use this command.');
             return;
         }
 
-        // Check message length
-        if (message.length > 1000) {
-            await sendMessage(senderId, '❌ Broadcast message is too long. Please keep it under 1000 characters.');
+        const usage = `💬 Discord channels\n\n` +
+            `• discord list - Show connected channels\n` +
+            `• discord connect <name> <webhook url> - Post alerts to a channel\n` +
+            `• discord disconnect <name> - Stop posting to a channel\n` +
+            `• discord <name> - Show a channel's alerts\n` +
+            `• discord <name> add <category> <item> - Add an alert, same as add\n` +
+            `• discord <name> remove <category> <item> - Remove an alert, same as remove\n\n` +
+            `Channels without alerts of their own get the default alerts.`;
+
+        // Webhook tokens are case-sensitive, so only names and subcommands are lowercased
+        const [, action, ...args] = text.split(/\s+/);
+        const subcommand = (action || '').toLowerCase();
+
+        if (!subcommand) {
+            await sendMessage(senderId, usage);
             return;
         }
 
-        // Check if this message was recently sent to prevent spam
-        const messageHash = Buffer.from(message).toString('base64').substring(0, 20);
-        if (recentBroadcasts.has(messageHash)) {
-            await sendMessage(senderId, '❌ This message was recently broadcasted. Please wait before sending the same message again.');
+        if (subcommand === 'list') {
+            const names = discordChannel.getNames();
+            if (!names.length) {
+                await sendMessage(senderId, `ℹ️ No Discord channels connected.\n\n${usage}`);
+                return;
+            }
+
+            const lines = [];
+            for (const name of names) {
+                const userId = DiscordChannel.toUserId(name);
+                const alerts = await getUserAlerts(userId);
+                const count = Object.values(alerts || {}).reduce((sum, rules) => sum + rules.length, 0);
+                const paused = stockManager.subscribers.has(userId) ? '' : ' (paused: the webhook stopped working, connect it again)';
+                lines.push(`• ${name} - ${count ? `${count} alert(s)` : 'default alerts'}${paused}`);
+            }
+
+            await sendMessage(senderId, `💬 Discord Channels\n\n${lines.join('\n')}`);
             return;
         }
 
-        updateRateLimits(senderId, rateLimitConfig);
-        recentBroadcasts.set(senderId, Date.now());
-        recentBroadcasts.set(messageHash, Date.now());
-
-        // Clean up old broadcast tracking
-        setTimeout(() => {
-            recentBroadcasts.delete(messageHash);
-        }, BROADCAST_MESSAGE_TRACKING_DURATION);
+        if (subcommand === 'connect') {
+            const [rawName, webhookUrl] = args;
+            const name = (rawName || '').toLowerCase();
+            if (!name || !webhookUrl) {
+                await sendMessage(senderId, '❌ Usage: discord connect <name> <webhook url>\nCreate the webhook in the channel\'s settings under Integrations > Webhooks.');
+                return;
+            }
+            if (!DISCORD_NAME_PATTERN.test(name) || DISCORD_SUBCOMMANDS.includes(name)) {
+                await sendMessage(senderId, '❌ Channel names are up to 32 letters, digits, - or _, e.g. restocks');
+                return;
+            }
+            if (!DiscordChannel.isWebhookUrl(webhookUrl)) {
+                await sendMessage(senderId, '❌ That isn\'t a Discord webhook URL. It looks like https://discord.com/api/webhooks/<id>/<token>');
+                return;
+            }
 
-        // Create broadcast message with unique identifier
-        const broadcastId = Date.now().toString();
-        const broadcastMessage = `📢 Broadcast Message\n\n${message}\n\n-Rel`;
+            // Post right away so a wrong or deleted webhook shows up now rather than at the next restock
+            try {
+                await discordChannel.post(webhookUrl, {
+                    content: '✅ Stock alerts from RelStocks will be posted in this channel.',
+                    allowed_mentions: { parse: [] }
+                });
+            } catch (error) {
+                await sendMessage(senderId, `❌ Couldn't post to that webhook: ${error.message}`);
+                return;
+            }
 
-        let successCount = 0;
-        let failCount = 0;
-        const failedSubscribers = new Set();
+            if (!(await saveDiscordWebhook(name, webhookUrl))) {
+                await sendMessage(senderId, '❌ Failed to save the Discord channel.');
+                return;
+            }
 
-        console.log(`📢 Starting broadcast to ${stockManager.subscribers.size} subscribers...`);
-        console.log(`Broadcast ID: ${broadcastId}`);
-        console.log(`Message: ${message.substring(0, 100)}...`);
+            const userId = DiscordChannel.toUserId(name);
+            discordChannel.setWebhook(name, webhookUrl);
+            deliveryFailureCounts.delete(userId);
+            await subscribeUser(userId);
+
+            const alerts = await getUserAlerts(userId);
+            await sendMessage(senderId, Object.keys(alerts || {}).length
+                ? `✅ Discord channel "${name}" connected with its ${Object.values(alerts).flat().length} alert(s).`
+                : `✅ Discord channel "${name}" connected. It gets the default alerts until you add its own, e.g. discord ${name} add seed kiwi`, {
+                quickReplies: [
+                    { title: '➕ Add Alert', payload: `discord ${name} add` },
+                    { title: '🔔 Channel Alerts', payload: `discord ${name}` }
+                ]
+            });
+            return;
+        }
 
-        // Send initial confirmation to admin
-        await sendMessage(senderId, `📢 Broadcasting message to ${stockManager.subscribers.size} subscribers...\nBroadcast ID: ${broadcastId}`);
+        if (subcommand === 'disconnect') {
+            const name = (args[0] || '').toLowerCase();
+            if (!discordChannel.has(name)) {
+                await sendMessage(senderId, name
+                    ? `❓ No Discord channel called "${name}". Type discord list to see them.`
+                    : '❌ Usage: discord disconnect <name>');
+                return;
+            }
 
-        // First attempt to send to all subscribers
-        const broadcastPromises = Array.from(stockManager.subscribers).map(async (userId) => {
-            try {
-                const sent = await sendMessage(userId, broadcastMessage);
-                if (sent) {
-                    successCount++;
-                    console.log(`✅ Broadcast sent to ${userId}`);
-                } else {
-                    console.error(`❌ Failed to send broadcast to subscriber ${userId}`);
-                    failedSubscribers.add(userId);
-                    failCount++;
-                }
-            } catch (err) {
-                console.error(`❌ Error sending broadcast to ${userId}:`, err.message);
-                failedSubscribers.add(userId);
-                failCount++;
+            const userId = DiscordChannel.toUserId(name);
+            if (!(await deleteDiscordWebhook(name))) {
+                await sendMessage(senderId, '❌ Failed to disconnect the Discord channel.');
+                return;
             }
-        });
+            discordChannel.removeWebhook(name);
+            await removeSubscriber(userId);
+            stockManager.removeSubscriber(userId);
 
-        // Wait for all broadcasts to be sent
-        await Promise.allSettled(broadcastPromises);
+            await sendMessage(senderId, `✅ Discord channel "${name}" disconnected. Its alerts are kept in case you connect it again.`);
+            return;
+        }
 
-        // If there are failed subscribers, retry immediately without delay
-        if (failedSubscribers.size > 0) {
-            console.log(`🔄 Retrying failed broadcasts for ${failedSubscribers.size} subscribers...`);
+        const name = subcommand;
+        if (!discordChannel.has(name)) {
+            await sendMessage(senderId, `❓ No Discord channel called "${name}".\n\n${usage}`);
+            return;
+        }
 
-            const retryPromises = Array.from(failedSubscribers).map(async (userId) => {
-                try {
-                    const retrySent = await sendMessage(userId, broadcastMessage);
-                    if (retrySent) {
-                        successCount++;
-                        failCount--;
-                        console.log(`✅ Successfully sent broadcast to subscriber ${userId} after retry`);
-                    } else {
-                        console.error(`❌ Failed to send broadcast to subscriber ${userId} after retry`);
-                    }
-                } catch (err) {
-                    console.error(`❌ Error retrying broadcast to ${userId}:`, err.message);
-                }
-            });
+        // The channel's alerts, managed by the regular alert commands with buttons that come back here
+        const scope = {
+            userId: DiscordChannel.toUserId(name),
+            commandPrefix: `discord ${name} `,
+            myAlertsCommand: `discord ${name}`
+        };
+        const command = (args[0] || '').toLowerCase();
 
-            await Promise.allSettled(retryPromises);
+        if (command === 'add') {
+            await handleAddAlertCommand(senderId, args.join(' '), scope);
+            return;
         }
 
-        // Send final confirmation message
-        const confirmationMessage = `✅ Broadcast Complete!\n\n` +
-            `📊 Results:\n` +
-            `• Successfully sent: ${successCount}\n` +
-            `• Failed to send: ${failCount}\n` +
-            `• Total subscribers: ${stockManager.subscribers.size}\n` +
-            `• Broadcast ID: ${broadcastId}\n\n` +
-            `⏰ Sent at: ${new Date().toLocaleString()}`;
+        if (command === 'remove') {
+            await handleRemoveAlertCommand(senderId, args.join(' '), scope);
+            return;
+        }
 
-        await sendMessage(senderId, confirmationMessage);
+        if (command) {
+            await sendMessage(senderId, `❌ Unknown option "${args[0]}".\n\n${usage}`);
+            return;
+        }
 
-        // Log broadcast completion
-        console.log(`📢 Broadcast completed - Success: ${successCount}, Failed: ${failCount}`);
+        const alerts = await getUserAlerts(scope.userId);
+        const lines = Object.entries(alerts || {}).map(([category, rules]) =>
+            `${alertCategoryNames[category] || category}\n${rules.map(rule => `• ${formatAlertRule(rule)}`).join('\n')}`);
+
+        await sendMessage(senderId, lines.length
+            ? `💬 Alerts for Discord channel "${name}"\n\n${lines.join('\n\n')}`
+            : `💬 Discord channel "${name}" has no alerts of its own and gets the default alerts.`, {
+            quickReplies: [
+                { title: '➕ Add Alert', payload: `discord ${name} add` },
+                ...(lines.length ? [{ title: '➖ Remove Alert', payload: `discord ${name} remove` }] : [])
+            ]
+        });
 
     } catch (error) {
-        console.error('❌ Error in broadcast command:', error.message);
-        await sendMessage(senderId, '❌ Sorry, there was an error sending the broadcast. Please try again later.');
+        console.error('❌ Error in discord command:', error.message);
+        await sendMessage(senderId, '❌ Sorry, there was an error managing Discord channels.');
     }
 };
 
@@ -903,13 +3361,96 @@ const processMessage = async (senderId, message) => {
             return;
         }
 
+        if (text.startsWith('replay ')) {
+            await handleReplayCommand(senderId, text);
+            return;
+        }
+
+        // Metadata values like display names keep the admin's capitalisation
+        if (text === 'meta' || text.startsWith('meta ')) {
+            await handleMetaCommand(senderId, message.trim());
+            return;
+        }
+
+        // Discord webhook URLs keep their case
+        if (text === 'discord' || text.startsWith('discord ')) {
+            await handleDiscordCommand(senderId, message.trim());
+            return;
+        }
+
         // Handle commands that start with specific prefixes
-        if (text.startsWith('add ')) {
+        if (text === 'add' || text.startsWith('add ')) {
             await handleAddAlertCommand(senderId, text);
             return;
         }
 
-        if (text.startsWith('remove ')) {
+        if (text === 'style' || text.startsWith('style ')) {
+            await handleStyleCommand(senderId, text);
+            return;
+        }
+
+        if (text === 'mode' || text.startsWith('mode ')) {
+            await handleModeCommand(senderId, text);
+            return;
+        }
+
+        if (text.startsWith('history ')) {
+            await handleHistoryCommand(senderId, text);
+            return;
+        }
+
+        if (text === 'quiet' || text.startsWith('quiet ')) {
+            await handleQuietCommand(senderId, text);
+            return;
+        }
+
+        if (text === 'urgent' || text.startsWith('urgent ')) {
+            await handleUrgentCommand(senderId, text);
+            return;
+        }
+
+        if (text === 'snooze' || text.startsWith('snooze ')) {
+            await handleSnoozeCommand(senderId, text);
+            return;
+        }
+
+        if (text === 'unsnooze' || text.startsWith('unsnooze ')) {
+            await handleUnsnoozeCommand(senderId, text);
+            return;
+        }
+
+        if (text === 'rules' || text.startsWith('rules ')) {
+            await handleRulesCommand(senderId, text);
+            return;
+        }
+
+        // Upstream notification ids are matched as given
+        if (text === 'news' || text.startsWith('news ')) {
+            await handleNewsCommand(senderId, message.trim());
+            return;
+        }
+
+        if (text === 'weather' || text.startsWith('weather ')) {
+            await handleWeatherCommand(senderId, text);
+            return;
+        }
+
+        if (text === 'timezone' || text.startsWith('timezone ')) {
+            await handleTimezoneCommand(senderId, text);
+            return;
+        }
+
+        if (text === 'predict' || text.startsWith('predict ')) {
+            await handlePredictCommand(senderId, text);
+            return;
+        }
+
+        if (text.startsWith('onboard ')) {
+            await handleOnboardCommand(senderId, text);
+            return;
+        }
+
+        if (text === 'remove' || text.startsWith('remove ')) {
             await handleRemoveAlertCommand(senderId, text);
             return;
         }
@@ -927,6 +3468,12 @@ const processMessage = async (senderId, message) => {
             case 'unsubscribe':
                 await handleUnsubscribeCommand(senderId);
                 break;
+            case 'renew':
+                await handleRenewCommand(senderId);
+                break;
+            case 'next':
+                await handleNextCommand(senderId);
+                break;
             case 'status':
                 await handleStatusCommand(senderId);
                 break;
@@ -942,9 +3489,24 @@ const processMessage = async (senderId, message) => {
             case 'about':
                 await handleAboutCommand(senderId);
                 break;
+            case 'deadletters':
+                await handleDeadLettersCommand(senderId);
+                break;
+            case 'inactive':
+                await handleInactiveCommand(senderId);
+                break;
+            case 'get_started':
+            case 'setup':
+                await onboardingManager.start(senderId);
+                break;
             default:
-                if (senderId === ADMIN_ID) {
-                    await sendMessage(senderId, 'Unknown command. Type \`help\` for available commands.\n\nAdmin commands:\n• broadcast <message> - Send message to all subscribers');
+                // Resume an unfinished onboarding, or start one on first contact
+                if (await onboardingManager.isInProgress(senderId)) {
+                    await onboardingManager.resume(senderId);
+                } else if (await onboardingManager.isFirstContact(senderId)) {
+                    await onboardingManager.start(senderId);
+                } else if (senderId === ADMIN_ID) {
+                    await sendMessage(senderId, 'Unknown command. Type \`help\` for available commands.\n\nAdmin commands:\n• broadcast <message> - Send message to all subscribers\n• deadletters - Show messages that failed to send\n• replay <id|all> - Resend failed messages\n• inactive - Show auto-unsubscribed users\n• meta <item> - Show or edit item metadata (rarity, name, emoji, price)\n• news review on|off, news pending - Review game notifications before they go out\n• discord - Post alerts to Discord channels');
                 }
                 break;
         }
@@ -956,6 +3518,73 @@ const processMessage = async (senderId, message) => {
     }
 };
 
+// Webhook event handling
+const handleMessagingEvent = async (event) => {
+    const senderId = event.sender?.id;
+    if (!senderId) return;
+
+    // Notification-messages opt-in, stop or resume
+    if (event.optin) {
+        const result = await optInManager.handleOptIn(senderId, event.optin);
+        if (result === 'opted_in') {
+            await sendMessage(senderId, '✅ Thanks! You\'ll now get stock alerts even when we haven\'t chatted for a while.');
+        }
+        console.log(`🔑 Opt-in event from ${senderId}: ${result || 'ignored'}`);
+        return;
+    }
+
+    // Incoming messages and postbacks open the 24-hour messaging window
+    if ((event.message && !event.message.is_echo) || event.postback) {
+        optInManager.recordInteraction(senderId);
+    }
+
+    // Quick reply buttons carry the command in their payload
+    if (event.message) {
+        const message = event.message;
+
+        // Ignore messages sent by the page itself
+        if (message.is_echo) return;
+
+        if (message.quick_reply?.payload) {
+            await processMessage(senderId, message.quick_reply.payload);
+        } else if (message.text) {
+            await processMessage(senderId, message.text);
+        }
+        return;
+    }
+
+    // Button taps (persistent menu, templates, Get Started)
+    if (event.postback) {
+        if (event.postback.payload) {
+            await processMessage(senderId, event.postback.payload);
+        }
+        return;
+    }
+
+    if (event.read) {
+        console.log(`👀 Messages read by ${senderId} up to ${new Date(event.read.watermark).toISOString()}`);
+        return;
+    }
+
+    if (event.delivery) {
+        console.log(`📬 ${event.delivery.mids?.length || 0} message(s) delivered to ${senderId}`);
+        return;
+    }
+
+    console.log('ℹ️ Unhandled messaging event:', Object.keys(event).join(', '));
+};
+
+// Process the events of an entry in order so replies to one user don't get shuffled
+const processWebhookEntry = async (entry) => {
+    for (const event of entry.messaging || []) {
+        try {
+            await handleMessagingEvent(event);
+        } catch (error) {
+            console.error('❌ Error handling messaging event:', error.message);
+        }
+    }
+};
+
 // Webhook verification
 app.get('/webhook', (req, res) => {
     const mode = req.query['hub.mode'];
@@ -972,19 +3601,37 @@ app.get('/webhook', (req, res) => {
     }
 });
 
+// Webhook signature verification
+const verifyWebhookSignature = (req, res, next) => {
+    webhookMetrics.received++;
+
+    const signature = req.get('x-hub-signature-256');
+    const result = verifyRequestSignature(req.rawBody, signature, APP_SECRET);
+
+    if (!result.valid) {
+        if (result.reason === 'missing') {
+            webhookMetrics.rejectedMissing++;
+        } else {
+            webhookMetrics.rejectedInvalid++;
+        }
+        webhookMetrics.lastRejectedAt = new Date().toISOString();
+
+        console.warn(`🚫 Rejected webhook request from ${req.ip}: ${result.reason} signature`);
+        res.sendStatus(403);
+        return;
+    }
+
+    webhookMetrics.verified++;
+    next();
+};
+
 // Webhook endpoint
-app.post('/webhook', (req, res) => {
+app.post('/webhook', verifyWebhookSignature, (req, res) => {
     const body = req.body;
 
     if (body.object === 'page') {
-        body.entry.forEach(entry => {
-            const webhookEvent = entry.messaging[0];
-            const senderId = webhookEvent.sender.id;
-            const message = webhookEvent.message;
-
-            if (message && message.text) {
-                processMessage(senderId, message.text);
-            }
+        (body.entry || []).forEach(entry => {
+            processWebhookEntry(entry);
         });
 
         res.status(200).send('EVENT_RECEIVED');
@@ -993,18 +3640,90 @@ app.post('/webhook', (req, res) => {
     }
 });
 
+// Telegram webhook: updates run through the same command handlers as Messenger
+app.post('/telegram/webhook', (req, res) => {
+    if (!telegramChannel) {
+        res.sendStatus(404);
+        return;
+    }
+
+    if (!telegramChannel.verifyRequest(req.get('x-telegram-bot-api-secret-token'))) {
+        console.warn(`🚫 Rejected Telegram webhook request from ${req.ip}: invalid secret token`);
+        res.sendStatus(403);
+        return;
+    }
+
+    res.sendStatus(200);
+
+    const update = telegramChannel.parseUpdate(req.body);
+    if (!update) return;
+
+    (async () => {
+        // Stop the button's loading spinner; the reply itself comes from the command
+        if (update.callbackQueryId) {
+            await telegramChannel.answerCallbackQuery(update.callbackQueryId).catch(error => {
+                console.error('❌ Error answering Telegram callback:', error.message);
+            });
+        }
+        await processMessage(update.userId, update.text);
+    })().catch(error => {
+        console.error('❌ Error handling Telegram update:', error.message);
+    });
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     const status = {
         websocket: websocketManager.isConnectionActive(),
         subscribers: stockManager.subscribers.size,
         lastUpdate: websocketManager.getLastStockData() ? 'Available' : 'None',
+        webhook: webhookMetrics,
+        messageQueue: messageQueue.getStatus(),
+        channels: ['messenger', ...channels.map(channel => channel.name)],
         timestamp: new Date().toISOString()
     };
 
     res.json(status);
 });
 
+// Restock prediction for an item, e.g. /predict/godly_sprinkler?restocks=10
+app.get('/predict/:itemId', async (req, res) => {
+    const rateLimitCheck = isRateLimited(req.ip, predictRateLimitConfig);
+    if (rateLimitCheck.limited) {
+        res.status(429).json({ error: 'Too many requests, try again later' });
+        return;
+    }
+    updateRateLimits(req.ip, predictRateLimitConfig);
+
+    const restockCount = Math.min(
+        Math.max(parseInt(req.query.restocks, 10) || DEFAULT_PREDICT_RESTOCKS, 1),
+        MAX_PREDICT_RESTOCKS
+    );
+
+    try {
+        const itemId = toItemId(req.params.itemId);
+        const cacheKey = `${itemId}:${restockCount}`;
+        const cached = predictionCache.get(cacheKey);
+        if (cached && Date.now() - cached.at < PREDICT_CACHE_TTL) {
+            res.json({ prediction: cached.prediction });
+            return;
+        }
+
+        const prediction = await stockHistory.predictItem(itemId, restockCount);
+        if (!prediction) {
+            res.status(404).json({ error: 'No stock history for this item in the last 7 days' });
+            return;
+        }
+
+        // Only items with history are cached, so made-up ids can't grow the cache
+        predictionCache.set(cacheKey, { at: Date.now(), prediction });
+        res.json({ prediction });
+    } catch (error) {
+        console.error('❌ Error in predict endpoint:', error.message);
+        res.status(500).json({ error: 'Prediction failed' });
+    }
+});
+
 // Start server
 app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
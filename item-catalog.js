@@ -0,0 +1,125 @@
+const fs = require('fs');
+const { getStockItems, toItemId } = require('./utils');
+const { getCatalogItems, saveCatalogItems } = require('./db');
+
+const MAX_SUGGESTIONS = 5;
+
+// Edit distance between two strings
+const levenshtein = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+};
+
+class ItemCatalog {
+    constructor(seedFile = null) {
+        this.seedFile = seedFile;
+        // category -> Set of item ids
+        this.items = new Map();
+    }
+
+    // Load items seen so far plus the optional seed file ({ "seed_stock": ["carrot", ...] })
+    async init(extraItems = {}) {
+        const rows = await getCatalogItems();
+        for (const row of rows) this.add(row.category, row.item_id);
+
+        for (const [category, itemIds] of Object.entries(extraItems)) {
+            for (const itemId of itemIds) this.add(category, itemId);
+        }
+
+        if (this.seedFile) {
+            try {
+                const seed = JSON.parse(await fs.promises.readFile(this.seedFile, 'utf8'));
+                for (const [category, itemIds] of Object.entries(seed)) {
+                    if (!Array.isArray(itemIds)) continue;
+                    for (const itemId of itemIds) this.add(category, toItemId(itemId));
+                }
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.error(`❌ Error loading item catalog seed file ${this.seedFile}:`, error.message);
+                }
+            }
+        }
+
+        console.log(`📚 Item catalog loaded with ${this.size()} item(s)`);
+        return this.size();
+    }
+
+    add(category, itemId) {
+        if (!category || !itemId) return false;
+        if (!this.items.has(category)) this.items.set(category, new Set());
+
+        const categoryItems = this.items.get(category);
+        if (categoryItems.has(itemId)) return false;
+        categoryItems.add(itemId);
+        return true;
+    }
+
+    // Catalog any item in a stock update we haven't seen before
+    async record(data) {
+        const newItems = getStockItems(data).filter(item => this.add(item.category, item.item_id));
+        if (!newItems.length) return;
+
+        await saveCatalogItems(newItems);
+        console.log(`📚 Catalogued ${newItems.length} new item(s): ${newItems.map(item => item.item_id).join(', ')}`);
+    }
+
+    has(category, itemId) {
+        return this.items.get(category)?.has(itemId) || false;
+    }
+
+    getItems(category) {
+        return [...(this.items.get(category) || [])].sort();
+    }
+
+    size() {
+        let total = 0;
+        for (const categoryItems of this.items.values()) total += categoryItems.size;
+        return total;
+    }
+
+    // Closest item ids to a (possibly misspelled) name, best match first
+    suggest(name, candidates, limit = MAX_SUGGESTIONS) {
+        const wanted = toItemId(name).replace(/_/g, '');
+        if (!wanted) return [];
+
+        return candidates
+            .map(itemId => {
+                const compact = itemId.replace(/_/g, '');
+                const distance = compact.includes(wanted) || wanted.includes(compact)
+                    ? Math.abs(compact.length - wanted.length) / 10
+                    : levenshtein(wanted, compact);
+                return { itemId, distance };
+            })
+            .filter(({ distance }) => distance <= Math.max(2, Math.floor(wanted.length / 3)))
+            .sort((a, b) => a.distance - b.distance || a.itemId.localeCompare(b.itemId))
+            .slice(0, limit)
+            .map(({ itemId }) => itemId);
+    }
+
+    // Match a user-typed name to a known item; unknown categories accept anything
+    resolve(category, name) {
+        const itemId = toItemId(name);
+        const known = this.getItems(category);
+
+        if (!known.length || known.includes(itemId)) {
+            return { itemId, known: known.includes(itemId), suggestions: [] };
+        }
+
+        return { itemId: null, known: false, suggestions: this.suggest(name, known) };
+    }
+}
+
+module.exports = ItemCatalog;
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const { rarityTiers } = require('./utils');
+const { getItemMetadataEdits, saveItemMetadataEdit } = require('./db');
+
+// Fields the admin can set, with how to parse and check each value
+const FIELDS = {
+    rarity: (value) => {
+        const rarity = value.toLowerCase();
+        if (!rarityTiers[rarity]) {
+            throw new Error(`Unknown rarity "${value}". Use one of: ${Object.keys(rarityTiers).join(', ')}`);
+        }
+        return rarity;
+    },
+    name: (value) => value,
+    emoji: (value) => value,
+    price: (value) => {
+        const price = Number(value.replace(/,/g, ''));
+        if (!Number.isFinite(price) || price < 0) {
+            throw new Error(`Invalid price "${value}"`);
+        }
+        return price;
+    }
+};
+
+// Item metadata registry: { "<item_id>": { rarity, name, emoji, price } }. The JSON file
+// ships the defaults and is only read; the admin's edits are stored in the database on top of it,
+// so they survive redeploys
+class ItemMetadata {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.defaults = {};
+        // Per item, the fields the admin changed; null means cleared
+        this.edits = {};
+        this.items = {};
+        // Saves are chained so two admin edits can't interleave their writes
+        this.pending = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+            this.defaults = data && typeof data === 'object' ? data : {};
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`❌ Error loading item metadata from ${this.filePath}:`, error.message);
+            }
+            this.defaults = {};
+        }
+
+        const edits = await getItemMetadataEdits();
+        this.edits = Object.fromEntries(edits.map(row => [row.item_id, row.metadata || {}]));
+
+        this.items = {};
+        for (const itemId of new Set([...Object.keys(this.defaults), ...Object.keys(this.edits)])) {
+            this.merge(itemId);
+        }
+
+        console.log(`🏷️ Loaded metadata for ${Object.keys(this.items).length} item(s) (${edits.length} edited)`);
+        return Object.keys(this.items).length;
+    }
+
+    // Rebuild one item from the file and the admin's edits
+    merge(itemId) {
+        const fields = Object.entries({ ...this.defaults[itemId], ...this.edits[itemId] })
+            .filter(([, value]) => value !== null && value !== undefined);
+
+        if (fields.length) this.items[itemId] = Object.fromEntries(fields);
+        else delete this.items[itemId];
+    }
+
+    get(itemId) {
+        return this.items[itemId] || null;
+    }
+
+    getFields() {
+        return Object.keys(FIELDS);
+    }
+
+    // Validate and store one field; throws with a user-facing message on bad input
+    async set(itemId, field, value) {
+        if (!FIELDS[field]) {
+            throw new Error(`Unknown field "${field}". Use one of: ${this.getFields().join(', ')}`);
+        }
+
+        const parsed = FIELDS[field](value.trim());
+        await this.saveEdits(itemId, { ...this.edits[itemId], [field]: parsed });
+        return this.items[itemId];
+    }
+
+    // Clear one field, or the whole entry when no field is given
+    async clear(itemId, field = null) {
+        if (!this.items[itemId]) return false;
+
+        const edits = { ...this.edits[itemId] };
+        for (const name of field ? [field] : Object.keys(this.items[itemId])) {
+            // A value from the file has to be hidden; an edited one can just go
+            if (this.defaults[itemId]?.[name] !== undefined) edits[name] = null;
+            else delete edits[name];
+        }
+
+        await this.saveEdits(itemId, edits);
+        return true;
+    }
+
+    saveEdits(itemId, edits) {
+        const write = this.pending.then(async () => {
+            await saveItemMetadataEdit(itemId, edits);
+            this.edits[itemId] = edits;
+            if (!Object.keys(edits).length) delete this.edits[itemId];
+            this.merge(itemId);
+        });
+
+        // A failed write shouldn't block the ones after it
+        this.pending = write.catch(() => { });
+        return write;
+    }
+}
+
+module.exports = ItemMetadata;
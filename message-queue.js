@@ -0,0 +1,242 @@
+const {
+    saveQueuedMessage,
+    deleteQueuedMessage,
+    getQueuedMessages,
+    addDeadLetter
+} = require('./db');
+const { isRateLimitError, isRetryableError } = require('./utils');
+
+class MessageQueue {
+    constructor(deliver, config = {}) {
+        this.deliver = deliver;
+        this.concurrency = config.concurrency || 5;
+        this.ratePerSecond = config.ratePerSecond || 20;
+        this.maxAttempts = config.maxAttempts || 5;
+        this.baseDelay = config.baseDelay || 1000;
+        this.maxDelay = config.maxDelay || 60 * 1000;
+
+        // Replies to commands jump ahead of alert fan-out and broadcasts
+        this.highPriority = [];
+        this.lowPriority = [];
+        this.active = 0;
+        this.waitingRetries = 0;
+        this.lastDispatch = 0;
+        this.pausedUntil = 0;
+        this.recipientPausedUntil = new Map(); // Recipients whose own channel limit was hit
+        this.timer = null;
+
+        this.stats = {
+            sent: 0,
+            retried: 0,
+            deadLettered: 0
+        };
+
+        // Optional delivery hooks
+        this.onDelivered = null;
+        this.onFailed = null;
+    }
+
+    // Queue a message and resolve once it has been delivered
+    enqueue(recipientId, message, options = {}) {
+        const { priority, ...sendOptions } = options;
+
+        return new Promise((resolve, reject) => {
+            const job = {
+                id: null,
+                recipientId,
+                message,
+                options: sendOptions,
+                priority: priority === 'low' ? 'low' : 'high',
+                attempts: 0,
+                resolve,
+                reject
+            };
+
+            this.add(job);
+        });
+    }
+
+    async add(job) {
+        // Only bulk sends are persisted; a stale command reply isn't worth replaying after a restart
+        if (job.priority === 'low' && job.id === null) {
+            job.id = await saveQueuedMessage(job.recipientId, {
+                message: job.message,
+                options: job.options
+            });
+        }
+
+        this.push(job);
+    }
+
+    push(job) {
+        if (job.priority === 'low') {
+            this.lowPriority.push(job);
+        } else {
+            this.highPriority.push(job);
+        }
+        this.pump();
+    }
+
+    // Re-queue messages that were still pending when the process stopped
+    async restore() {
+        const pending = await getQueuedMessages();
+
+        for (const row of pending) {
+            this.push({
+                id: row.id,
+                recipientId: row.recipient_id,
+                message: row.payload.message,
+                options: row.payload.options || {},
+                priority: 'low',
+                attempts: 0,
+                resolve: () => { },
+                reject: () => { }
+            });
+        }
+
+        if (pending.length) {
+            console.log(`📨 Restored ${pending.length} queued message(s)`);
+        }
+        return pending.length;
+    }
+
+    pump() {
+        // A new job may be able to go before the one the timer is waiting for
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        while (this.active < this.concurrency && this.size() > 0) {
+            const now = Date.now();
+            const minInterval = 1000 / this.ratePerSecond;
+            const wait = Math.max(this.pausedUntil - now, this.lastDispatch + minInterval - now, this.readyIn(now));
+
+            if (wait > 0) {
+                this.timer = setTimeout(() => {
+                    this.timer = null;
+                    this.pump();
+                }, wait);
+                return;
+            }
+
+            const job = this.take(now);
+            this.lastDispatch = now;
+            this.active++;
+            this.run(job).finally(() => {
+                this.active--;
+                this.pump();
+            });
+        }
+    }
+
+    isRecipientPaused(recipientId, now) {
+        return (this.recipientPausedUntil.get(recipientId) || 0) > now;
+    }
+
+    // 0 when a queued job can go now, otherwise how long until a paused recipient frees up
+    readyIn(now) {
+        for (const [recipientId, until] of this.recipientPausedUntil) {
+            if (until <= now) this.recipientPausedUntil.delete(recipientId);
+        }
+        if (!this.recipientPausedUntil.size) return 0;
+
+        let soonest = Infinity;
+        for (const job of [...this.highPriority, ...this.lowPriority]) {
+            if (!this.isRecipientPaused(job.recipientId, now)) return 0;
+            soonest = Math.min(soonest, this.recipientPausedUntil.get(job.recipientId) - now);
+        }
+        return soonest;
+    }
+
+    // Next job in priority order, skipping recipients that are paused
+    take(now) {
+        for (const jobs of [this.highPriority, this.lowPriority]) {
+            const index = jobs.findIndex(job => !this.isRecipientPaused(job.recipientId, now));
+            if (index !== -1) return jobs.splice(index, 1)[0];
+        }
+        return null;
+    }
+
+    async run(job) {
+        job.attempts++;
+
+        try {
+            await this.deliver(job.recipientId, job.message, job.options);
+            this.stats.sent++;
+            if (job.id !== null) await deleteQueuedMessage(job.id);
+            if (this.onDelivered) this.onDelivered(job.recipientId);
+            job.resolve(true);
+        } catch (error) {
+            if (isRetryableError(error) && job.attempts < this.maxAttempts) {
+                this.retry(job, error);
+                return;
+            }
+
+            await this.deadLetter(job, error);
+            if (this.onFailed) await this.onFailed(job.recipientId, error);
+            job.reject(error);
+        }
+    }
+
+    retry(job, error) {
+        // Telegram and Discord say how long to wait with a 429
+        const delay = error.retryAfter || Math.min(this.baseDelay * Math.pow(2, job.attempts - 1), this.maxDelay);
+        this.stats.retried++;
+
+        if (isRateLimitError(error)) {
+            // Messenger throttling applies to the whole page, so hold back every send
+            this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+            console.warn(`⏸️ Messenger rate limit hit (code ${error.code}), pausing queue for ${delay}ms`);
+        } else if (error.status === 429) {
+            // Other channels limit each chat or webhook, so only this recipient waits
+            const until = Math.max(this.recipientPausedUntil.get(job.recipientId) || 0, Date.now() + delay);
+            this.recipientPausedUntil.set(job.recipientId, until);
+            console.warn(`⏸️ Rate limit hit sending to ${job.recipientId}, holding their messages for ${delay}ms`);
+        }
+
+        console.warn(`🔄 Retrying message to ${job.recipientId} in ${delay}ms (attempt ${job.attempts}/${this.maxAttempts}): ${error.message}`);
+
+        // The pause holds it back; going first keeps the recipient's messages in order
+        if (this.isRecipientPaused(job.recipientId, Date.now())) {
+            (job.priority === 'low' ? this.lowPriority : this.highPriority).unshift(job);
+            this.pump();
+            return;
+        }
+
+        this.waitingRetries++;
+        setTimeout(() => {
+            this.waitingRetries--;
+            this.push(job);
+        }, delay);
+    }
+
+    async deadLetter(job, error) {
+        this.stats.deadLettered++;
+        console.error(`💀 Message to ${job.recipientId} failed permanently after ${job.attempts} attempt(s): ${error.message}`);
+
+        await addDeadLetter(
+            job.recipientId,
+            { message: job.message, options: job.options },
+            error.message,
+            error.code,
+            job.attempts
+        );
+        if (job.id !== null) await deleteQueuedMessage(job.id);
+    }
+
+    size() {
+        return this.highPriority.length + this.lowPriority.length;
+    }
+
+    getStatus() {
+        return {
+            queued: this.size(),
+            active: this.active,
+            waitingRetries: this.waitingRetries,
+            paused: this.pausedUntil > Date.now(),
+            pausedRecipients: this.recipientPausedUntil.size,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = MessageQueue;
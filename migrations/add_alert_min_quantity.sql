@@ -0,0 +1,2 @@
+-- Optional minimum quantity before an alert fires
+ALTER TABLE subscriber_alerts ADD COLUMN IF NOT EXISTS min_quantity INTEGER;
@@ -0,0 +1,6 @@
+-- When the quiet hours a held alert waits for end, so the release check only reads rows
+-- that are due; existing rows are due straight away
+ALTER TABLE held_alerts ADD COLUMN IF NOT EXISTS release_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_held_alerts_release_at ON held_alerts(release_at);
+CREATE INDEX IF NOT EXISTS idx_held_alerts_held_at ON held_alerts(held_at);
@@ -0,0 +1,5 @@
+-- Items and quantities from the last alert, used by diff notifications
+ALTER TABLE notification_state ADD COLUMN IF NOT EXISTS items JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+-- 'full' lists every matching item, 'diff' only what changed since the last alert
+ALTER TABLE user_preferences ADD COLUMN IF NOT EXISTS notification_mode TEXT NOT NULL DEFAULT 'full';
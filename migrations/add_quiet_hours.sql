@@ -0,0 +1,22 @@
+-- Daily quiet hours as 'HH:MM' in the user's timezone; alerts are held in between
+ALTER TABLE user_preferences ADD COLUMN IF NOT EXISTS quiet_start TEXT;
+ALTER TABLE user_preferences ADD COLUMN IF NOT EXISTS quiet_end TEXT;
+
+-- Urgent alerts are delivered even during quiet hours
+ALTER TABLE subscriber_alerts ADD COLUMN IF NOT EXISTS urgent BOOLEAN NOT NULL DEFAULT false;
+
+-- Create held_alerts table for items found during quiet hours
+CREATE TABLE IF NOT EXISTS held_alerts (
+    id BIGSERIAL PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    category TEXT NOT NULL,
+    item_id TEXT NOT NULL,
+    quantity INTEGER,
+    held_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    -- When the quiet hours the alert was held for end
+    release_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_held_alerts_user_id ON held_alerts(user_id);
+CREATE INDEX IF NOT EXISTS idx_held_alerts_release_at ON held_alerts(release_at);
+CREATE INDEX IF NOT EXISTS idx_held_alerts_held_at ON held_alerts(held_at);
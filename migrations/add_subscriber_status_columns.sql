@@ -0,0 +1,7 @@
+-- Track whether a subscriber can still be messaged
+ALTER TABLE subscribers ADD COLUMN IF NOT EXISTS active BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE subscribers ADD COLUMN IF NOT EXISTS failure_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE subscribers ADD COLUMN IF NOT EXISTS last_error TEXT;
+ALTER TABLE subscribers ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_subscribers_active ON subscribers(active);
@@ -0,0 +1,2 @@
+-- Timezone used when showing restock times to a user
+ALTER TABLE user_preferences ADD COLUMN IF NOT EXISTS timezone TEXT;
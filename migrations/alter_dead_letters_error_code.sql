@@ -0,0 +1,2 @@
+-- Dead letters also record string codes (e.g. NO_OPT_IN), which an INTEGER column rejects
+ALTER TABLE dead_letters ALTER COLUMN error_code TYPE TEXT USING error_code::TEXT;
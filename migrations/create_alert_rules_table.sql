@@ -0,0 +1,9 @@
+-- Create alert_rules table for conditional alerts, e.g. "item=lightning_rod and weather=thunderstorm"
+CREATE TABLE IF NOT EXISTS alert_rules (
+    id BIGSERIAL PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    expression TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_rules_user_id ON alert_rules(user_id);
@@ -0,0 +1,11 @@
+-- Create alert_snoozes table; '*' as category or item_id snoozes everything in that scope
+CREATE TABLE IF NOT EXISTS alert_snoozes (
+    user_id TEXT NOT NULL,
+    category TEXT NOT NULL DEFAULT '*',
+    item_id TEXT NOT NULL DEFAULT '*',
+    snoozed_until TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, category, item_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_snoozes_snoozed_until ON alert_snoozes(snoozed_until);
@@ -0,0 +1,8 @@
+-- Create discord_webhooks table for posting alerts to Discord channels.
+-- Each channel is a subscriber with user_id "discord:<name>", so its alert list
+-- lives in subscriber_alerts like any other user's.
+CREATE TABLE IF NOT EXISTS discord_webhooks (
+    name TEXT PRIMARY KEY,
+    webhook_url TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,14 @@
+-- Create item_catalog table with every item ever seen per category
+CREATE TABLE IF NOT EXISTS item_catalog (
+    category TEXT NOT NULL,
+    item_id TEXT NOT NULL,
+    first_seen_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (category, item_id)
+);
+
+-- Backfill from recorded stock history
+INSERT INTO item_catalog (category, item_id, first_seen_at)
+SELECT category, item_id, MIN(captured_at)
+FROM stock_snapshot_items
+GROUP BY category, item_id
+ON CONFLICT (category, item_id) DO NOTHING;
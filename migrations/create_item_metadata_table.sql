@@ -0,0 +1,7 @@
+-- Create item_metadata table for the admin's `meta` edits, layered over item-metadata.json.
+-- A field set to null hides the value from the file.
+CREATE TABLE IF NOT EXISTS item_metadata (
+    item_id TEXT PRIMARY KEY,
+    metadata JSONB NOT NULL DEFAULT '{}',
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,21 @@
+-- Create message_queue table for outbound messages waiting to be delivered
+CREATE TABLE IF NOT EXISTS message_queue (
+    id BIGSERIAL PRIMARY KEY,
+    recipient_id TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create dead_letters table for messages that permanently failed
+CREATE TABLE IF NOT EXISTS dead_letters (
+    id BIGSERIAL PRIMARY KEY,
+    recipient_id TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    error TEXT,
+    -- Graph API error code, or a string code like NO_OPT_IN
+    error_code TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    failed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_dead_letters_failed_at ON dead_letters(failed_at);
@@ -0,0 +1,10 @@
+-- Create notification_state table to dedup alerts per user and category
+CREATE TABLE IF NOT EXISTS notification_state (
+    user_id TEXT NOT NULL,
+    category TEXT NOT NULL,
+    -- Start of the restock cycle (epoch ms) the user was last alerted about
+    restock_cycle BIGINT NOT NULL,
+    item_ids JSONB NOT NULL DEFAULT '[]'::jsonb,
+    notified_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, category)
+);
@@ -0,0 +1,10 @@
+-- Create notification_tokens table for Messenger notification-messages opt-ins
+CREATE TABLE IF NOT EXISTS notification_tokens (
+    user_id TEXT PRIMARY KEY,
+    token TEXT NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    -- 'active' or 'stopped' (user turned notifications off in Messenger)
+    status TEXT NOT NULL DEFAULT 'active',
+    reoptin_prompted_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
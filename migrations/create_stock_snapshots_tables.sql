@@ -0,0 +1,22 @@
+-- Create stock_snapshots table with every distinct stock update received
+CREATE TABLE IF NOT EXISTS stock_snapshots (
+    id BIGSERIAL PRIMARY KEY,
+    hash TEXT NOT NULL,
+    source TEXT NOT NULL,
+    data JSONB NOT NULL,
+    captured_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_snapshots_captured_at ON stock_snapshots(captured_at);
+
+-- One row per item in a snapshot, for per-item history lookups
+CREATE TABLE IF NOT EXISTS stock_snapshot_items (
+    id BIGSERIAL PRIMARY KEY,
+    snapshot_id BIGINT NOT NULL REFERENCES stock_snapshots(id) ON DELETE CASCADE,
+    category TEXT NOT NULL,
+    item_id TEXT NOT NULL,
+    quantity INTEGER,
+    captured_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_snapshot_items_item ON stock_snapshot_items(item_id, captured_at);
@@ -0,0 +1,13 @@
+-- Create upstream_notifications table; status is pending, queued (approved, not yet relayed), sent, rejected or skipped
+CREATE TABLE IF NOT EXISTS upstream_notifications (
+    id TEXT PRIMARY KEY,
+    message TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'sent',
+    published_at TIMESTAMP WITH TIME ZONE,
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_upstream_notifications_received_at ON upstream_notifications(received_at);
+
+-- Users who want upstream game notifications relayed to them
+ALTER TABLE user_preferences ADD COLUMN IF NOT EXISTS news BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,7 @@
+-- Create user_interactions table so the 24-hour messaging window survives restarts
+CREATE TABLE IF NOT EXISTS user_interactions (
+    user_id TEXT PRIMARY KEY,
+    last_interaction_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_interactions_last_interaction_at ON user_interactions(last_interaction_at);
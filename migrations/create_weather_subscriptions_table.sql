@@ -0,0 +1,9 @@
+-- Create weather_subscriptions table; weather_id '*' subscribes to every event type
+CREATE TABLE IF NOT EXISTS weather_subscriptions (
+    user_id TEXT NOT NULL,
+    weather_id TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, weather_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_weather_subscriptions_weather_id ON weather_subscriptions(weather_id);
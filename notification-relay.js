@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const {
+    saveUpstreamNotifications,
+    hasUpstreamNotifications,
+    getUpstreamNotifications,
+    updateUpstreamNotificationStatus
+} = require('./db');
+
+// Queued notifications retried per poll
+const MAX_QUEUED_PER_POLL = 10;
+
+// Upstream notifications as { id, message, publishedAt }, from either
+// { notifications: [...] } or a bare array of { id?, message, timestamp? }
+const normalizeNotifications = (data) => {
+    const list = Array.isArray(data) ? data : Array.isArray(data?.notifications) ? data.notifications : [];
+
+    return list
+        .map(entry => typeof entry === 'string' ? { message: entry } : entry)
+        .filter(entry => entry && typeof (entry.message || entry.text || entry.title) === 'string')
+        .map(entry => {
+            const message = (entry.message || entry.text || entry.title).trim();
+            const timestamp = entry.timestamp ?? entry.created_at ?? null;
+
+            // Without an upstream id, the text and timestamp identify a notification
+            const id = entry.id != null
+                ? String(entry.id)
+                : crypto.createHash('sha1').update(`${timestamp}|${message}`).digest('hex').slice(0, 12);
+
+            // An unparseable timestamp is dropped rather than failing the whole batch on save
+            const publishedAt = timestamp != null ? new Date(typeof timestamp === 'number' ? timestamp * 1000 : timestamp) : null;
+
+            return {
+                id,
+                message,
+                publishedAt: publishedAt && !Number.isNaN(publishedAt.getTime()) ? publishedAt : null
+            };
+        })
+        .filter(notification => notification.message);
+};
+
+// Polls the upstream notifications endpoint and hands each new one on,
+// either straight to subscribers or to the admin for review
+class NotificationRelay {
+    constructor(apiClient, pollInterval = 60 * 1000, reviewMode = false) {
+        this.apiClient = apiClient;
+        this.pollInterval = pollInterval;
+        this.reviewMode = reviewMode;
+        this.timer = null;
+        this.polling = false;
+        this.delivering = new Set(); // Ids being fanned out right now
+        this.unmarked = new Set(); // Ids fanned out whose 'sent' status didn't save yet
+        this.onNotification = null; // Notification to relay now; resolves to the user count, or null if it failed
+        this.onPending = null; // New notification waiting for the admin
+    }
+
+    start() {
+        this.poll();
+        this.timer = setInterval(() => this.poll(), this.pollInterval);
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async poll() {
+        if (this.polling) return [];
+        this.polling = true;
+
+        try {
+            const notifications = normalizeNotifications(await this.apiClient.getNotifications());
+            let inserted = [];
+
+            if (notifications.length) {
+                // On the very first run the feed's backlog is recorded, not relayed
+                const isBaseline = !(await hasUpstreamNotifications());
+                const status = isBaseline ? 'skipped' : this.reviewMode ? 'pending' : 'queued';
+
+                // Only rows that weren't stored before come back, so repeats are dropped here
+                inserted = await saveUpstreamNotifications(notifications, status);
+                if (inserted.length) console.log(`📰 ${inserted.length} new upstream notification(s) (${status})`);
+
+                if (status === 'pending' && this.onPending) {
+                    for (const notification of inserted) await this.onPending(notification);
+                }
+            }
+
+            // New notifications, plus any whose fan-out failed or was cut off by a restart
+            const queued = await getUpstreamNotifications('queued', MAX_QUEUED_PER_POLL);
+            for (const notification of queued.reverse()) await this.deliver(notification);
+
+            return inserted;
+        } catch (error) {
+            console.error('❌ Error polling upstream notifications:', error.message);
+            return [];
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    // Fan out a queued notification and only then mark it sent. Resolves to
+    // { status: 'sent', count }, { status: 'failed' } or { status: 'in_progress' }
+    // when another call is already fanning it out.
+    async deliver(notification) {
+        if (this.delivering.has(notification.id)) return { status: 'in_progress' };
+
+        // Already out; only the status update is left to retry
+        if (this.unmarked.has(notification.id)) {
+            await this.markSent(notification.id);
+            return { status: 'sent', count: null };
+        }
+
+        if (!this.onNotification) return { status: 'failed' };
+        this.delivering.add(notification.id);
+
+        try {
+            const count = await this.onNotification(notification);
+            if (count === null) return { status: 'failed' };
+
+            await this.markSent(notification.id);
+            return { status: 'sent', count };
+        } finally {
+            this.delivering.delete(notification.id);
+        }
+    }
+
+    // A failed update leaves the row queued, so remember it isn't to be fanned out again
+    async markSent(id) {
+        if (await updateUpstreamNotificationStatus(id, 'queued', 'sent')) {
+            this.unmarked.delete(id);
+            return true;
+        }
+
+        console.warn(`⚠️ Upstream notification ${id} went out but couldn't be marked sent; retrying with the next poll`);
+        this.unmarked.add(id);
+        return false;
+    }
+}
+
+module.exports = NotificationRelay;
@@ -0,0 +1,186 @@
+const {
+    formatItemName,
+    categoryNames,
+    getNextCheckTime,
+    restockIntervals,
+    formatDuration
+} = require('./utils');
+const { addAlert, getUserState, setUserState } = require('./db');
+
+const FLOW = 'onboarding';
+
+class OnboardingManager {
+    constructor(stockManager, sendMessage, subscribeUser) {
+        this.stockManager = stockManager;
+        this.sendMessage = sendMessage;
+        this.subscribeUser = subscribeUser;
+        this.categories = ['seed_stock', 'gear_stock', 'egg_stock', 'eventshop_stock'];
+    }
+
+    async getState(userId) {
+        const state = await getUserState(userId);
+        return state && state.flow === FLOW ? state : null;
+    }
+
+    // A user we have never talked to: no saved state and not subscribed
+    async isFirstContact(userId) {
+        if (this.stockManager.subscribers.has(userId)) return false;
+        const state = await getUserState(userId);
+        return !state;
+    }
+
+    async isInProgress(userId) {
+        const state = await this.getState(userId);
+        return !!state && state.step !== 'completed';
+    }
+
+    async start(userId) {
+        await setUserState(userId, FLOW, 'welcome', { picked: [] });
+        await this.sendWelcome(userId);
+    }
+
+    // Re-send the prompt for the step the user left off at
+    async resume(userId) {
+        const state = await this.getState(userId);
+        if (!state || state.step === 'completed') {
+            await this.start(userId);
+            return;
+        }
+
+        await this.sendMessage(userId, '👋 Welcome back! Let\'s pick up where you left off.');
+
+        if (state.step === 'choose_items') {
+            await this.sendItemPicker(userId, state.data);
+        } else {
+            await this.sendWelcome(userId);
+        }
+    }
+
+    async handle(userId, text) {
+        const [action, ...args] = text.split(' ').slice(1);
+        const state = await this.getState(userId);
+        const data = state?.data || { picked: [] };
+
+        switch (action) {
+            case 'subscribe':
+                await this.subscribeUser(userId);
+                await this.sendMessage(userId, '✅ You are subscribed! Now let\'s choose which items you want alerts for.');
+                await this.goToItems(userId, data);
+                break;
+            case 'skip':
+                await this.sendMessage(userId, '👌 No problem, you can subscribe later with `subscribe`.');
+                await this.finish(userId);
+                break;
+            case 'pick':
+                await this.pickItem(userId, data, args[0], args[1]);
+                break;
+            case 'defaults':
+                await this.sendMessage(userId, '👍 You\'ll get alerts for the default items. Type `defaultalerts` to see them.');
+                await this.finish(userId);
+                break;
+            case 'done':
+                await this.finish(userId);
+                break;
+            default:
+                await this.resume(userId);
+                break;
+        }
+    }
+
+    async sendWelcome(userId) {
+        const welcomeMessage = `👋 Welcome to RelStocks!\n\n` +
+            `I watch the Grow a Garden shop and message you when the items you care about are in stock.\n\n` +
+            `Would you like to subscribe to stock alerts?`;
+
+        await this.sendMessage(userId, welcomeMessage, {
+            quickReplies: [
+                { title: '✅ Yes, subscribe', payload: 'onboard subscribe' },
+                { title: '⏭️ Not now', payload: 'onboard skip' }
+            ]
+        });
+    }
+
+    async goToItems(userId, data) {
+        await setUserState(userId, FLOW, 'choose_items', data);
+        await this.sendItemPicker(userId, data);
+    }
+
+    async sendItemPicker(userId, data) {
+        const picked = new Set(data.picked || []);
+        let options = [];
+
+        try {
+            const stockData = await this.stockManager.getStockData();
+            for (const category of this.categories) {
+                const itemIds = [...new Set((stockData?.[category] || [])
+                    .filter(item => item && item.item_id)
+                    .map(item => item.item_id))].sort();
+
+                for (const itemId of itemIds) {
+                    if (picked.has(`${category}:${itemId}`)) continue;
+                    const emoji = (categoryNames[category] || '').split(' ')[0];
+                    options.push({
+                        title: `${emoji} ${formatItemName(itemId)}`,
+                        payload: `onboard pick ${category} ${itemId}`
+                    });
+                }
+            }
+        } catch (error) {
+            console.error('❌ Error loading stock for onboarding:', error.message);
+        }
+
+        // Leave room for the Done / defaults buttons
+        options = options.slice(0, 11);
+        options.push(picked.size
+            ? { title: '✅ Done', payload: 'onboard done' }
+            : { title: '⭐ Use defaults', payload: 'onboard defaults' });
+
+        const message = picked.size
+            ? `🔔 Added ${picked.size} alert(s). Pick another item, or tap Done.`
+            : `🔔 Pick the items you want alerts for from what's in stock right now.\n` +
+            `You can also add any item later with add <category> <item_id>.`;
+
+        await this.sendMessage(userId, message, { quickReplies: options });
+    }
+
+    async pickItem(userId, data, category, itemId) {
+        if (!this.categories.includes(category) || !itemId) {
+            await this.sendItemPicker(userId, data);
+            return;
+        }
+
+        const success = await addAlert(userId, category, itemId);
+        if (!success) {
+            await this.sendMessage(userId, '❌ Failed to add alert.');
+            return;
+        }
+
+        const picked = [...new Set([...(data.picked || []), `${category}:${itemId}`])];
+        await this.goToItems(userId, { ...data, picked });
+    }
+
+    async finish(userId) {
+        await setUserState(userId, FLOW, 'completed', {});
+
+        const nextCheck = getNextCheckTime();
+        const minutesUntil = Math.max(1, Math.ceil((nextCheck.getTime() - Date.now()) / 60000));
+
+        const cadences = Object.entries(restockIntervals)
+            .map(([category, interval]) => `• ${categoryNames[category] || category} restock every ${formatDuration(interval)}`)
+            .join('\n');
+
+        const timingMessage = `⏱️ Restock Timing\n\n${cadences}\n\n` +
+            `Next restock in about ${minutesUntil} minute(s). Type \`next\` for a countdown.\n\n` +
+            `🎉 You're all set! Type \`help\` any time to see every command.`;
+
+        await this.sendMessage(userId, timingMessage, {
+            quickReplies: [
+                { title: '📦 All Stock', payload: 'all' },
+                { title: '🔔 My Alerts', payload: 'myalerts' },
+                { title: '❓ Help', payload: 'help' }
+            ]
+        });
+    }
+}
+
+module.exports = OnboardingManager;
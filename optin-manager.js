@@ -0,0 +1,168 @@
+const {
+    getNotificationTokens,
+    saveNotificationToken,
+    updateNotificationToken,
+    saveLastInteraction,
+    getRecentInteractions
+} = require('./db');
+
+const STANDARD_MESSAGING_WINDOW = 24 * 60 * 60 * 1000; // 24 hours
+const REOPTIN_WINDOW = 3 * 24 * 60 * 60 * 1000; // prompt 3 days before a token expires
+// Saving every message would mean a write per command; a window that closes up to
+// this much early is fine, alerts then go through the opt-in token
+const INTERACTION_SAVE_INTERVAL = 10 * 60 * 1000;
+
+class OptInManager {
+    constructor(frequency = 'DAILY') {
+        this.frequency = frequency;
+        this.tokens = new Map();
+        // Last message/postback per user, and when it was last saved
+        this.lastInteraction = new Map();
+        this.savedInteraction = new Map();
+    }
+
+    async loadTokens() {
+        const rows = await getNotificationTokens();
+
+        for (const row of rows) {
+            this.tokens.set(row.user_id, {
+                token: row.token,
+                expiresAt: row.expires_at ? new Date(row.expires_at).getTime() : null,
+                status: row.status,
+                reoptinPromptedAt: row.reoptin_prompted_at ? new Date(row.reoptin_prompted_at).getTime() : null
+            });
+        }
+
+        console.log(`🔑 Loaded ${rows.length} notification opt-in token(s)`);
+        return rows.length;
+    }
+
+    // Messaging windows that were still open when the process stopped
+    async loadInteractions() {
+        const rows = await getRecentInteractions(new Date(Date.now() - STANDARD_MESSAGING_WINDOW));
+
+        for (const row of rows) {
+            const at = new Date(row.last_interaction_at).getTime();
+            this.lastInteraction.set(row.user_id, at);
+            this.savedInteraction.set(row.user_id, at);
+        }
+
+        console.log(`💬 Loaded ${rows.length} open messaging window(s)`);
+        return rows.length;
+    }
+
+    recordInteraction(userId) {
+        const now = Date.now();
+        this.lastInteraction.set(userId, now);
+
+        if (now - (this.savedInteraction.get(userId) || 0) < INTERACTION_SAVE_INTERVAL) return;
+        this.savedInteraction.set(userId, now);
+        saveLastInteraction(userId, now);
+    }
+
+    isWithinMessagingWindow(userId) {
+        const lastInteraction = this.lastInteraction.get(userId) || 0;
+        return Date.now() - lastInteraction < STANDARD_MESSAGING_WINDOW;
+    }
+
+    getActiveToken(userId) {
+        const entry = this.tokens.get(userId);
+        if (!entry || entry.status !== 'active') return null;
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) return null;
+        return entry.token;
+    }
+
+    // Whether an alert can be sent to the user right now
+    canNotify(userId) {
+        return this.isWithinMessagingWindow(userId) || !!this.getActiveToken(userId);
+    }
+
+    hasOptedIn(userId) {
+        return !!this.getActiveToken(userId);
+    }
+
+    // Recipient and messaging type for the Send API, or null if the user can't be messaged
+    getDeliveryTarget(userId, isNotification = false) {
+        if (!isNotification || this.isWithinMessagingWindow(userId)) {
+            return { recipient: { id: userId }, messaging_type: 'RESPONSE' };
+        }
+
+        const token = this.getActiveToken(userId);
+        if (token) {
+            return { recipient: { notification_messages_token: token } };
+        }
+
+        return null;
+    }
+
+    // Template asking the user to allow notification messages
+    buildOptInRequest() {
+        return {
+            type: 'template',
+            payload: {
+                template_type: 'notification_messages',
+                title: 'Get RelStocks stock alerts',
+                payload: 'STOCK_ALERTS',
+                notification_messages_frequency: this.frequency,
+                notification_messages_reoptin: 'ENABLED'
+            }
+        };
+    }
+
+    // Handle a messaging_optins webhook event; returns what changed
+    async handleOptIn(userId, optin) {
+        if (optin.type !== 'notification_messages') return null;
+
+        if (optin.notification_messages_status === 'STOP_NOTIFICATIONS') {
+            await this.setStatus(userId, 'stopped');
+            return 'stopped';
+        }
+
+        if (optin.notification_messages_status === 'RESUME_NOTIFICATIONS') {
+            await this.setStatus(userId, 'active');
+            return 'resumed';
+        }
+
+        if (!optin.notification_messages_token) return null;
+
+        const expiresAt = optin.token_expiry_timestamp || null;
+        this.tokens.set(userId, {
+            token: optin.notification_messages_token,
+            expiresAt,
+            status: 'active',
+            reoptinPromptedAt: null
+        });
+        await saveNotificationToken(userId, optin.notification_messages_token, expiresAt);
+        return 'opted_in';
+    }
+
+    async setStatus(userId, status) {
+        const entry = this.tokens.get(userId);
+        if (entry) entry.status = status;
+        await updateNotificationToken(userId, { status });
+    }
+
+    // Active tokens that expire soon and haven't been prompted for renewal yet
+    getTokensNeedingReoptin() {
+        const now = Date.now();
+        const users = [];
+
+        for (const [userId, entry] of this.tokens) {
+            if (entry.status !== 'active' || !entry.expiresAt || entry.reoptinPromptedAt) continue;
+            if (entry.expiresAt > now && entry.expiresAt - now <= REOPTIN_WINDOW) {
+                users.push({ userId, expiresAt: entry.expiresAt });
+            }
+        }
+
+        return users;
+    }
+
+    async markReoptinPrompted(userId) {
+        const entry = this.tokens.get(userId);
+        const now = Date.now();
+        if (entry) entry.reoptinPromptedAt = now;
+        await updateNotificationToken(userId, { reoptin_prompted_at: new Date(now).toISOString() });
+    }
+}
+
+module.exports = OptInManager;
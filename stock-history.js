@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const { getRestockCycle, restockIntervals, getStockItems } = require('./utils');
+const {
+    saveStockSnapshot,
+    getLatestSnapshotHash,
+    getSnapshotTimes,
+    getItemHistory
+} = require('./db');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class StockHistory {
+    constructor() {
+        this.lastHash = null;
+        // Writes are chained so WebSocket and API snapshots can't race each other
+        this.pending = Promise.resolve();
+    }
+
+    async init() {
+        this.lastHash = await getLatestSnapshotHash();
+    }
+
+    hashItems(items) {
+        const normalized = items
+            .map(item => `${item.category}:${item.item_id}:${item.quantity}`)
+            .sort()
+            .join('|');
+
+        return crypto.createHash('sha1').update(normalized).digest('hex');
+    }
+
+    // Save the snapshot unless it is identical to the previous one
+    record(data, source) {
+        this.pending = this.pending.then(async () => {
+            const items = getStockItems(data);
+            if (!items.length) return;
+
+            const hash = this.hashItems(items);
+            if (hash === this.lastHash) return;
+
+            // Only a saved snapshot counts, so a failed write is retried with the next update
+            const snapshotId = await saveStockSnapshot(hash, source, data, items, new Date().toISOString());
+            if (snapshotId) {
+                this.lastHash = hash;
+                console.log(`🗂️ Stock snapshot #${snapshotId} saved (${source}, ${items.length} items)`);
+            }
+        }).catch(error => {
+            console.error('❌ Error recording stock snapshot:', error.message);
+        });
+
+        return this.pending;
+    }
+
+    // How often an item showed up in the last 24 hours and 7 days
+    async getItemSummary(itemId) {
+        const now = Date.now();
+        const rows = await getItemHistory(itemId, new Date(now - 7 * DAY));
+        if (!rows.length) return null;
+
+        // Count restocks, not snapshots: quantity changes within one restock create extra rows
+        const cycles7d = new Set();
+        const cycles24h = new Set();
+        for (const row of rows) {
+            const capturedAt = new Date(row.captured_at).getTime();
+            const cycle = `${row.category}:${getRestockCycle(row.category, capturedAt)}`;
+            cycles7d.add(cycle);
+            if (now - capturedAt <= DAY) cycles24h.add(cycle);
+        }
+
+        const quantities = rows.map(row => row.quantity).filter(quantity => quantity != null);
+
+        return {
+            category: rows[0].category,
+            lastSeen: new Date(rows[0].captured_at),
+            lastQuantity: rows[0].quantity,
+            restocks24h: cycles24h.size,
+            restocks7d: cycles7d.size,
+            minQuantity: quantities.length ? Math.min(...quantities) : null,
+            maxQuantity: quantities.length ? Math.max(...quantities) : null,
+            averageQuantity: quantities.length
+                ? quantities.reduce((sum, quantity) => sum + quantity, 0) / quantities.length
+                : null
+        };
+    }
+
+    // Estimate when an item comes back from how often it appeared in recent restocks.
+    // Each restock is treated as an independent draw with the item's observed frequency.
+    async predictItem(itemId, restockCount = 5) {
+        const now = Date.now();
+        const since = new Date(now - 7 * DAY);
+        const [rows, snapshotTimes] = await Promise.all([
+            getItemHistory(itemId, since),
+            getSnapshotTimes(since)
+        ]);
+        if (!rows.length) return null;
+
+        const category = rows[0].category;
+        const interval = restockIntervals[category] || restockIntervals.seed_stock;
+
+        // Restocks we have data for vs. restocks the item showed up in
+        const observed = new Set(snapshotTimes.map(time => getRestockCycle(category, time)));
+        const appeared = new Set(rows
+            .filter(row => row.category === category)
+            .map(row => getRestockCycle(category, new Date(row.captured_at).getTime())));
+
+        // Add-one smoothing keeps a short history from giving 0% or 100%
+        const probability = (appeared.size + 1) / (observed.size + 2);
+
+        const nextRestock = getRestockCycle(category, now) + interval;
+        const restocks = [];
+        for (let i = 0; i < restockCount; i++) {
+            restocks.push({
+                at: new Date(nextRestock + i * interval),
+                probability,
+                cumulativeProbability: 1 - Math.pow(1 - probability, i + 1)
+            });
+        }
+
+        // Geometric distribution: on average 1/p restocks until it appears
+        const expectedWaitMs = (nextRestock - now) + (1 / probability - 1) * interval;
+
+        return {
+            itemId,
+            category,
+            restockInterval: interval,
+            observedRestocks: observed.size,
+            appearances: appeared.size,
+            inStockNow: appeared.has(getRestockCycle(category, now)),
+            probability,
+            expectedWaitMs,
+            expectedAt: new Date(now + expectedWaitMs),
+            restocks
+        };
+    }
+}
+
+module.exports = StockHistory;
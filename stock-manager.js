@@ -1,4 +1,4 @@
-const { formatItemName, categoryNames } = require('./utils');
+const { formatItemName, formatItemSummary, categoryNames } = require('./utils');
 
 class StockManager {
     constructor(apiClient, websocketManager) {
@@ -134,16 +134,21 @@ class StockManager {
         }
     }
 
-    async getCurrentStock(senderId) {
-        try {
-            // Try WebSocket data first if available
-            let stockData = this.websocketManager?.getLastStockData();
+    async getStockData() {
+        // Try WebSocket data first if available
+        let stockData = this.websocketManager?.getLastStockData();
 
-            if (!stockData) {
-                // Fall back to API call
-                stockData = await this.apiClient.getStock();
-            }
+        if (!stockData) {
+            // Fall back to API call
+            stockData = await this.apiClient.getStock();
+        }
 
+        return stockData;
+    }
+
+    async getCurrentStock(senderId) {
+        try {
+            const stockData = await this.getStockData();
             return this.formatStockMessage(stockData);
         } catch (error) {
             console.error('❌ Error getting current stock:', error.message);
@@ -159,13 +164,19 @@ class StockManager {
             if (category === 'cosmetic_stock') continue;
 
             if (data[category] && Array.isArray(data[category]) && data[category].length > 0) {
-                const uniqueItems = [...new Set(data[category]
-                    .filter(item => item && item.item_id)
-                    .map(item => item.item_id))].sort();
+                // One line per item id, keeping the first quantity reported for it
+                const itemsById = new Map();
+                for (const item of data[category]) {
+                    if (item && item.item_id && !itemsById.has(item.item_id)) {
+                        itemsById.set(item.item_id, item);
+                    }
+                }
+                const uniqueItems = [...itemsById.values()]
+                    .sort((a, b) => a.item_id.localeCompare(b.item_id));
 
                 if (uniqueItems.length > 0) {
                     const itemsList = uniqueItems
-                        .map(itemId => `• ${formatItemName(itemId)}`)
+                        .map(item => `• ${formatItemSummary([item])}`)
                         .join('\n');
 
                     const categoryName = categoryNames[category] || category;
@@ -181,6 +192,31 @@ class StockManager {
         }
     }
 
+    // Generic template cards for the rich stock view, one per category
+    buildStockCards(data) {
+        const cards = [];
+
+        for (let category in data) {
+            // Skip cosmetic_stock category
+            if (category === 'cosmetic_stock') continue;
+            if (!Array.isArray(data[category])) continue;
+
+            const items = data[category].filter(item => item && item.item_id);
+            if (!items.length) continue;
+
+            const categoryName = categoryNames[category] || category;
+            cards.push({
+                title: `${categoryName} (${items.length} items)`,
+                subtitle: formatItemSummary(items),
+                buttons: [
+                    { title: '➕ Add Alert', payload: `add ${category}` }
+                ]
+            });
+        }
+
+        return cards;
+    }
+
     async manualStockCheck(senderId) {
         try {
             const data = await this.apiClient.getStock();
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+
+// Telegram chats are stored as "tg:<chat id>" so they can't collide with Messenger ids
+const USER_PREFIX = 'tg:';
+const MAX_CALLBACK_DATA = 64; // bytes, Telegram's limit for callback_data
+const BUTTONS_PER_ROW = 2;
+const MAX_MESSAGE_LENGTH = 4096; // Telegram's limit for message text
+
+// Slash commands that map to a different command name here
+const COMMAND_ALIASES = {
+    start: 'get_started'
+};
+
+// Telegram Bot API adapter: turns updates into command text and delivers
+// replies with quick replies and card buttons as an inline keyboard
+class TelegramChannel {
+    constructor(token, apiUrl = 'https://api.telegram.org', webhookSecret = null) {
+        this.name = 'telegram';
+        this.label = 'Telegram';
+        this.maxMessageLength = MAX_MESSAGE_LENGTH;
+        this.token = token;
+        this.apiUrl = apiUrl.replace(/\/+$/, '');
+        this.webhookSecret = webhookSecret;
+    }
+
+    static toUserId(chatId) {
+        return `${USER_PREFIX}${chatId}`;
+    }
+
+    // "/start" -> "get_started", "/add@RelStocksBot seed kiwi" -> "add seed kiwi"
+    static toCommandText(text) {
+        const trimmed = text.trim();
+        if (!trimmed.startsWith('/')) return trimmed;
+
+        const [command, ...args] = trimmed.slice(1).split(/\s+/);
+        const name = command.split('@')[0].toLowerCase();
+        return [COMMAND_ALIASES[name] || name, ...args].join(' ');
+    }
+
+    ownsUser(userId) {
+        return typeof userId === 'string' && userId.startsWith(USER_PREFIX);
+    }
+
+    toChatId(userId) {
+        return userId.slice(USER_PREFIX.length);
+    }
+
+    async call(method, body) {
+        const response = await fetch(`${this.apiUrl}/bot${this.token}/${method}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !data.ok) {
+            const error = new Error(`Telegram API error: ${response.status}${data.description ? ` - ${data.description}` : ''}`);
+            error.status = response.status;
+            // 403 means the user blocked the bot or the chat is gone
+            error.recipientUnavailable = response.status === 403;
+            // Sent with 429, in seconds
+            if (data.parameters?.retry_after) error.retryAfter = data.parameters.retry_after * 1000;
+            throw error;
+        }
+
+        return data.result;
+    }
+
+    // Quick replies and card buttons, as inline keyboard rows
+    buildKeyboard(options = {}) {
+        const cardButtons = options.attachment?.payload?.template_type === 'generic'
+            ? options.attachment.payload.elements.flatMap(element => element.buttons || [])
+            : [];
+
+        const seen = new Set();
+        const buttons = [...cardButtons, ...(options.quickReplies || [])]
+            .filter(button => button.payload && Buffer.byteLength(button.payload) <= MAX_CALLBACK_DATA)
+            .filter(button => !seen.has(button.payload) && seen.add(button.payload))
+            .map(button => ({ text: button.title, callback_data: button.payload }));
+
+        const rows = [];
+        for (let i = 0; i < buttons.length; i += BUTTONS_PER_ROW) {
+            rows.push(buttons.slice(i, i + BUTTONS_PER_ROW));
+        }
+        return rows.length ? { inline_keyboard: rows } : null;
+    }
+
+    // Same arguments as a Messenger delivery; cards go out as their plain-text fallback
+    async send(userId, text, options = {}) {
+        // Telegram has no messaging window, so Messenger's opt-in request has nothing to ask
+        if (options.attachment?.payload?.template_type === 'notification_messages') return;
+
+        const body = { chat_id: this.toChatId(userId), text, disable_web_page_preview: true };
+        const keyboard = this.buildKeyboard(options);
+        if (keyboard) body.reply_markup = keyboard;
+
+        await this.call('sendMessage', body);
+    }
+
+    answerCallbackQuery(callbackQueryId) {
+        return this.call('answerCallbackQuery', { callback_query_id: callbackQueryId });
+    }
+
+    setWebhook(url) {
+        return this.call('setWebhook', {
+            url,
+            allowed_updates: ['message', 'callback_query'],
+            secret_token: this.webhookSecret
+        });
+    }
+
+    // Telegram echoes the secret set with setWebhook in X-Telegram-Bot-Api-Secret-Token;
+    // without a secret nothing can be verified, so nothing is accepted
+    verifyRequest(secretHeader) {
+        if (!this.webhookSecret || !secretHeader) return false;
+
+        const expected = Buffer.from(this.webhookSecret);
+        const received = Buffer.from(secretHeader);
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+
+    // { userId, text, callbackQueryId } for a text message or button tap, null for anything else
+    parseUpdate(update) {
+        if (update?.callback_query) {
+            const query = update.callback_query;
+            const chatId = query.message?.chat?.id ?? query.from?.id;
+            if (chatId == null || !query.data) return null;
+            return { userId: TelegramChannel.toUserId(chatId), text: query.data, callbackQueryId: query.id };
+        }
+
+        const message = update?.message;
+        if (!message?.text || message.chat?.id == null) return null;
+        return { userId: TelegramChannel.toUserId(message.chat.id), text: TelegramChannel.toCommandText(message.text) };
+    }
+}
+
+module.exports = TelegramChannel;
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseRule, formatRule, evaluateRule } = require('../alert-rules');
+
+const categories = { seed: 'seed_stock', gear: 'gear_stock', egg: 'egg_stock' };
+const resolveCategory = (name) => categories[name] || (Object.values(categories).includes(name) ? name : null);
+const parse = (text) => parseRule(text, resolveCategory);
+
+const context = (activeWeather = []) => ({ activeWeather, timeZone: 'UTC', now: Date.UTC(2026, 0, 1, 20, 0) });
+const kiwi = { item_id: 'kiwi', quantity: 6, category: 'seed_stock' };
+const rod = { item_id: 'lightning_rod', quantity: 1, category: 'gear_stock' };
+
+test('parseRule gives and precedence over or and formats back canonically', () => {
+    const ast = parse('item=kiwi and quantity>=5 or (category=gear and weather=thunderstorm)');
+    assert.strictEqual(ast.type, 'or');
+    assert.strictEqual(formatRule(ast), '(item=kiwi and quantity>=5) or (category=gear_stock and weather=thunderstorm)');
+    assert.strictEqual(formatRule(parse('item=kiwi and (weather=rain or weather=thunderstorm)')),
+        'item=kiwi and (weather=rain or weather=thunderstorm)');
+});
+
+test('parseRule rejects malformed rules', () => {
+    assert.throws(() => parse(''), /empty/);
+    assert.throws(() => parse('item=kiwi and'), /ends too early/);
+    assert.throws(() => parse('(item=kiwi'), /missing its/);
+    assert.throws(() => parse('item=kiwi item=banana'), /join conditions/);
+    assert.throws(() => parse('colour=red'), /isn't a condition|Unknown field/);
+    assert.throws(() => parse('category=hats'), /Unknown category/);
+    assert.throws(() => parse('item>kiwi'), /only supports =/);
+    assert.throws(() => parse('item=kiwi and time=25:00-26:00'), /24-hour window/);
+    assert.throws(() => parse('weather=rain'), /item, category or rarity/);
+});
+
+test('parseRule rejects rules that can match any item', () => {
+    assert.throws(() => parse('item=kiwi or weather=rain'), /item, category or rarity/);
+    assert.throws(() => parse('weather=rain or (category=seed and quantity>=5)'), /item, category or rarity/);
+    assert.throws(() => parse('not item=kiwi'), /item, category or rarity/);
+    assert.throws(() => parse('not (item=kiwi or rarity=common) and weather=rain'), /item, category or rarity/);
+
+    assert.doesNotThrow(() => parse('item=kiwi or rarity=mythical and weather=rain'));
+    assert.doesNotThrow(() => parse('category=seed and not item=kiwi'));
+    assert.doesNotThrow(() => parse('(item=kiwi or item=banana) and not weather=rain'));
+});
+
+test('evaluateRule checks item, quantity and weather conditions', () => {
+    const rule = parse('item=kiwi and quantity>=5 or item=lightning_rod and weather=thunderstorm');
+
+    assert.strictEqual(evaluateRule(rule, kiwi, context()), true);
+    assert.strictEqual(evaluateRule(rule, { ...kiwi, quantity: 2 }, context()), false);
+    assert.strictEqual(evaluateRule(rule, rod, context()), false);
+    assert.strictEqual(evaluateRule(rule, rod, context(['thunderstorm'])), true);
+});
+
+test('evaluateRule checks time windows in the given timezone', () => {
+    const evening = parse('category=seed and time=18:00-23:00');
+    const overnight = parse('category=seed and time=22:00-06:00');
+
+    assert.strictEqual(evaluateRule(evening, kiwi, context()), true);
+    assert.strictEqual(evaluateRule(overnight, kiwi, context()), false);
+    assert.strictEqual(evaluateRule(overnight, kiwi, { ...context(), now: Date.UTC(2026, 0, 1, 2, 0) }), true);
+});
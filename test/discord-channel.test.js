@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const stubDb = require('./helpers/stub-db');
+
+// Webhooks are loaded through db.js, which isn't needed here
+stubDb({ getDiscordWebhooks: async () => [] });
+
+const DiscordChannel = require('../discord-channel');
+const { isRetryableError, isRecipientUnavailableError } = require('../utils');
+
+test('sending to a channel without a webhook fails without a retry', async () => {
+    const channel = new DiscordChannel();
+
+    await assert.rejects(channel.send(DiscordChannel.toUserId('gone'), 'Kiwi in stock'), (error) => {
+        assert.strictEqual(isRetryableError(error), false);
+        assert.strictEqual(isRecipientUnavailableError(error), true);
+        return true;
+    });
+});
@@ -0,0 +1,12 @@
+const path = require('path');
+
+const DB_PATH = path.resolve(__dirname, '../../db.js');
+
+// Put the given exports in place of db.js, which needs Supabase, before the
+// module under test requires it
+const stubDb = (exports) => {
+    require.cache[DB_PATH] = { id: DB_PATH, filename: DB_PATH, loaded: true, exports };
+    return exports;
+};
+
+module.exports = stubDb;
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stubDb = require('./helpers/stub-db');
+
+// Edits are stored through db.js; keep them in memory here
+const stored = new Map();
+stubDb({
+    getItemMetadataEdits: async () => [...stored].map(([item_id, metadata]) => ({ item_id, metadata })),
+    saveItemMetadataEdit: async (itemId, metadata) => {
+        if (Object.keys(metadata).length) stored.set(itemId, metadata);
+        else stored.delete(itemId);
+        return true;
+    }
+});
+
+const ItemMetadata = require('../item-metadata');
+
+const tempDirs = [];
+const writeDefaults = (data) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'item-metadata-'));
+    tempDirs.push(dir);
+    const filePath = path.join(dir, 'item-metadata.json');
+    fs.writeFileSync(filePath, JSON.stringify(data));
+    return filePath;
+};
+
+test.after(() => {
+    tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+test('edits are saved to the database and the file is left untouched', async () => {
+    stored.clear();
+    const filePath = writeDefaults({ kiwi: { rarity: 'rare' } });
+    const before = fs.readFileSync(filePath, 'utf8');
+
+    const metadata = new ItemMetadata(filePath);
+    await metadata.load();
+    await metadata.set('kiwi', 'name', 'Golden Kiwi');
+    await metadata.set('carrot', 'rarity', 'Common');
+
+    assert.deepStrictEqual(metadata.get('kiwi'), { rarity: 'rare', name: 'Golden Kiwi' });
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), before);
+
+    // A fresh registry (e.g. after a redeploy) gets the edits back from the database
+    const reloaded = new ItemMetadata(filePath);
+    await reloaded.load();
+    assert.deepStrictEqual(reloaded.get('kiwi'), { rarity: 'rare', name: 'Golden Kiwi' });
+    assert.deepStrictEqual(reloaded.get('carrot'), { rarity: 'common' });
+});
+
+test('clearing a field from the file hides it until it is set again', async () => {
+    stored.clear();
+    const metadata = new ItemMetadata(writeDefaults({ kiwi: { rarity: 'rare', emoji: '🥝' } }));
+    await metadata.load();
+
+    assert.strictEqual(await metadata.clear('kiwi', 'rarity'), true);
+    assert.deepStrictEqual(metadata.get('kiwi'), { emoji: '🥝' });
+
+    await metadata.clear('kiwi');
+    assert.strictEqual(metadata.get('kiwi'), null);
+    assert.strictEqual(await metadata.clear('kiwi'), false);
+
+    await metadata.set('kiwi', 'rarity', 'mythical');
+    assert.deepStrictEqual(metadata.get('kiwi'), { rarity: 'mythical' });
+});
+
+test('invalid values are rejected without saving', async () => {
+    stored.clear();
+    const metadata = new ItemMetadata(writeDefaults({}));
+    await metadata.load();
+
+    await assert.rejects(metadata.set('kiwi', 'rarity', 'shiny'), /Unknown rarity/);
+    await assert.rejects(metadata.set('kiwi', 'colour', 'red'), /Unknown field/);
+    assert.strictEqual(stored.size, 0);
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const stubDb = require('./helpers/stub-db');
+
+// The queue persists through db.js; keep its calls in memory for these tests
+const deadLetters = [];
+stubDb({
+    saveQueuedMessage: async () => 1,
+    deleteQueuedMessage: async () => true,
+    getQueuedMessages: async () => [],
+    addDeadLetter: async (recipientId, payload, errorMessage, errorCode, attempts) => {
+        deadLetters.push({ recipientId, payload, errorMessage, errorCode, attempts });
+        return true;
+    }
+});
+
+const MessageQueue = require('../message-queue');
+
+const config = { ratePerSecond: 1000, maxAttempts: 3, baseDelay: 1, maxDelay: 5 };
+
+const failWith = (props) => Object.assign(new Error(props.message || 'failed'), props);
+
+test('a message that fails with a retryable error is retried until it goes through', async () => {
+    let calls = 0;
+    const queue = new MessageQueue(async () => {
+        calls++;
+        if (calls < 3) throw failWith({ code: 2, message: 'Temporary' });
+    }, config);
+
+    assert.strictEqual(await queue.enqueue('u1', 'hello'), true);
+    assert.strictEqual(calls, 3);
+    assert.strictEqual(queue.getStatus().retried, 2);
+    assert.strictEqual(queue.getStatus().sent, 1);
+});
+
+test('a message that keeps failing is dead-lettered after maxAttempts', async () => {
+    deadLetters.length = 0;
+    let calls = 0;
+    const failed = [];
+    const queue = new MessageQueue(async () => {
+        calls++;
+        throw failWith({ status: 503, message: 'Unavailable' });
+    }, config);
+    queue.onFailed = async (recipientId, error) => failed.push([recipientId, error.message]);
+
+    await assert.rejects(queue.enqueue('u2', 'hello', { priority: 'low' }), /Unavailable/);
+    assert.strictEqual(calls, 3);
+    assert.strictEqual(deadLetters.length, 1);
+    assert.deepStrictEqual(deadLetters[0].payload, { message: 'hello', options: {} });
+    assert.strictEqual(deadLetters[0].attempts, 3);
+    assert.deepStrictEqual(failed, [['u2', 'Unavailable']]);
+});
+
+test('a permanent error is dead-lettered without retrying', async () => {
+    deadLetters.length = 0;
+    let calls = 0;
+    const queue = new MessageQueue(async () => {
+        calls++;
+        throw failWith({ code: 551, message: 'This person isn\'t available right now' });
+    }, config);
+
+    await assert.rejects(queue.enqueue('u3', 'hello'));
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(deadLetters.length, 1);
+    assert.strictEqual(deadLetters[0].errorCode, 551);
+});
+
+test('replies are sent before queued low-priority messages', async () => {
+    const order = [];
+    let release;
+    const firstDelivery = new Promise(resolve => { release = resolve; });
+    let started;
+    const deliveryStarted = new Promise(resolve => { started = resolve; });
+
+    const queue = new MessageQueue(async (recipientId, message) => {
+        order.push(message);
+        if (message === 'alert 1') {
+            started();
+            await firstDelivery;
+        }
+    }, { ...config, concurrency: 1 });
+
+    const sends = [queue.enqueue('u4', 'alert 1', { priority: 'low' })];
+    await deliveryStarted;
+    sends.push(queue.enqueue('u4', 'alert 2', { priority: 'low' }));
+    await new Promise(resolve => setImmediate(resolve));
+    sends.push(queue.enqueue('u4', 'reply'));
+    release();
+
+    await Promise.all(sends);
+    assert.deepStrictEqual(order, ['alert 1', 'reply', 'alert 2']);
+});
+
+test('a 429 from another channel holds back only that recipient, for its retry_after', async () => {
+    const order = [];
+    let limited = false;
+    const queue = new MessageQueue(async (recipientId, message) => {
+        if (recipientId === 'tg:1' && !limited) {
+            limited = true;
+            throw failWith({ status: 429, retryAfter: 30, message: 'Too Many Requests' });
+        }
+        order.push(message);
+    }, { ...config, concurrency: 1 });
+
+    const sends = [queue.enqueue('tg:1', 'first'), queue.enqueue('tg:1', 'second'), queue.enqueue('u5', 'other')];
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.strictEqual(queue.pausedUntil, 0);
+    assert.deepStrictEqual(order, ['other']);
+
+    await Promise.all(sends);
+    assert.deepStrictEqual(order, ['other', 'first', 'second']);
+});
+
+test('a Messenger rate limit pauses the whole queue', async () => {
+    let limited = false;
+    const queue = new MessageQueue(async () => {
+        if (!limited) {
+            limited = true;
+            throw failWith({ code: 613, message: 'Calls to this api have exceeded the rate limit' });
+        }
+    }, config);
+
+    const send = queue.enqueue('u6', 'hello');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.ok(queue.pausedUntil > 0);
+    assert.strictEqual(await send, true);
+});
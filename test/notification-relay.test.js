@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const stubDb = require('./helpers/stub-db');
+
+// The relay stores notifications through db.js; keep them in memory here
+const rows = new Map();
+let failUpdates = false;
+stubDb({
+    hasUpstreamNotifications: async () => rows.size > 0,
+    saveUpstreamNotifications: async (notifications, status) => {
+        const inserted = notifications
+            .filter(notification => !rows.has(notification.id))
+            .map(notification => ({ ...notification, status }));
+        inserted.forEach(row => rows.set(row.id, row));
+        return inserted;
+    },
+    getUpstreamNotifications: async (status, limit) => [...rows.values()]
+        .filter(row => row.status === status)
+        .reverse()
+        .slice(0, limit),
+    updateUpstreamNotificationStatus: async (id, from, to) => {
+        // db.js returns null when the update fails
+        if (failUpdates) return null;
+        const row = rows.get(id);
+        if (!row || row.status !== from) return null;
+        row.status = to;
+        return row;
+    }
+});
+
+const NotificationRelay = require('../notification-relay');
+
+const relayFor = (feed) => new NotificationRelay({ getNotifications: async () => feed() });
+
+test('notifications with an unparseable timestamp are kept, without a date', async () => {
+    rows.clear();
+    rows.set('old', { id: 'old', message: 'Earlier news', status: 'skipped' });
+
+    const relay = relayFor(() => [
+        { id: 1, message: 'Bad date', timestamp: 'not a date' },
+        { id: 2, message: 'Good date', timestamp: 1767225600 }
+    ]);
+    const inserted = await relay.poll();
+
+    assert.strictEqual(inserted.length, 2);
+    assert.strictEqual(rows.get('1').publishedAt, null);
+    assert.strictEqual(rows.get('2').publishedAt.toISOString(), '2026-01-01T00:00:00.000Z');
+});
+
+test('a notification is marked sent only after its fan-out succeeds', async () => {
+    rows.clear();
+    rows.set('old', { id: 'old', message: 'Earlier news', status: 'skipped' });
+
+    const relay = relayFor(() => [{ id: 3, message: 'Update soon' }]);
+    const relayed = [];
+    let failing = true;
+    relay.onNotification = async (notification) => {
+        relayed.push(notification.id);
+        return failing ? null : 4;
+    };
+
+    await relay.poll();
+    assert.strictEqual(rows.get('3').status, 'queued');
+
+    // Nothing new in the feed, but the queued row is tried again
+    failing = false;
+    await relay.poll();
+    assert.strictEqual(rows.get('3').status, 'sent');
+    assert.deepStrictEqual(relayed, ['3', '3']);
+});
+
+test('a notification that went out is not fanned out again when marking it sent fails', async () => {
+    rows.clear();
+    rows.set('old', { id: 'old', message: 'Earlier news', status: 'skipped' });
+
+    const relay = relayFor(() => [{ id: 4, message: 'Maintenance tonight' }]);
+    let relayed = 0;
+    relay.onNotification = async () => ++relayed;
+
+    failUpdates = true;
+    await relay.poll();
+    assert.strictEqual(rows.get('4').status, 'queued');
+
+    failUpdates = false;
+    await relay.poll();
+    assert.strictEqual(rows.get('4').status, 'sent');
+    assert.strictEqual(relayed, 1);
+});
+
+test('delivering a notification that is already going out says so', async () => {
+    rows.clear();
+    rows.set('5', { id: '5', message: 'Event starts soon', status: 'queued' });
+
+    const relay = relayFor(() => []);
+    let finish;
+    relay.onNotification = () => new Promise(resolve => { finish = resolve; });
+
+    const first = relay.deliver(rows.get('5'));
+    assert.deepStrictEqual(await relay.deliver(rows.get('5')), { status: 'in_progress' });
+
+    finish(3);
+    assert.deepStrictEqual(await first, { status: 'sent', count: 3 });
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const stubDb = require('./helpers/stub-db');
+
+// User states are read through db.js; a null state means the user has none
+let readState = async () => null;
+stubDb({
+    addAlert: async () => true,
+    getUserState: (userId) => readState(userId),
+    setUserState: async () => true
+});
+
+const OnboardingManager = require('../onboarding-manager');
+
+const manager = () => new OnboardingManager({ subscribers: new Set(['subscribed']) }, async () => true, async () => { });
+
+test('a user with no state and no subscription is a first contact', async () => {
+    readState = async () => null;
+    assert.strictEqual(await manager().isFirstContact('new'), true);
+    assert.strictEqual(await manager().isFirstContact('subscribed'), false);
+});
+
+test('a failed state lookup is not taken for a first contact', async () => {
+    readState = async () => { throw new Error('connection reset'); };
+    await assert.rejects(manager().isFirstContact('existing'), /connection reset/);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const stubDb = require('./helpers/stub-db');
+
+// Snapshots are saved through db.js; the fake fails the first write
+let failNextSave = true;
+const saved = [];
+stubDb({
+    saveStockSnapshot: async (hash) => {
+        if (failNextSave) {
+            failNextSave = false;
+            return null;
+        }
+        saved.push(hash);
+        return saved.length;
+    },
+    getLatestSnapshotHash: async () => null,
+    getSnapshotTimes: async () => [],
+    getItemHistory: async () => []
+});
+
+const StockHistory = require('../stock-history');
+
+test('a snapshot that failed to save is saved again on the next identical update', async () => {
+    const history = new StockHistory();
+    const data = { seed_stock: [{ item_id: 'kiwi', quantity: 3 }] };
+
+    await history.record(data, 'api');
+    assert.strictEqual(saved.length, 0);
+
+    await history.record(data, 'api');
+    await history.record(data, 'websocket');
+    assert.strictEqual(saved.length, 1);
+});
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TelegramChannel = require('../telegram-channel');
+
+test('verifyRequest only accepts the configured secret', () => {
+    const channel = new TelegramChannel('token', undefined, 'webhook_secret');
+
+    assert.strictEqual(channel.verifyRequest('webhook_secret'), true);
+    assert.strictEqual(channel.verifyRequest('wrong_secret'), false);
+    assert.strictEqual(channel.verifyRequest(undefined), false);
+});
+
+test('verifyRequest rejects everything when no secret is configured', () => {
+    const channel = new TelegramChannel('token');
+
+    assert.strictEqual(channel.verifyRequest(undefined), false);
+    assert.strictEqual(channel.verifyRequest('anything'), false);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { verifyRequestSignature, splitMessage, isRecipientUnavailableError, getTimeUntilClockTime } = require('../utils');
+
+const sign = (body, secret) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+test('verifyRequestSignature accepts a body signed with the app secret', () => {
+    const body = Buffer.from('{"object":"page"}');
+    assert.deepStrictEqual(verifyRequestSignature(body, sign(body, 'secret'), 'secret'), { valid: true });
+});
+
+test('verifyRequestSignature rejects missing, malformed and wrong signatures', () => {
+    const body = Buffer.from('{"object":"page"}');
+    assert.strictEqual(verifyRequestSignature(body, undefined, 'secret').reason, 'missing');
+    assert.strictEqual(verifyRequestSignature(body, 'sha1=abc', 'secret').reason, 'malformed');
+    assert.strictEqual(verifyRequestSignature(body, 'sha256=', 'secret').reason, 'malformed');
+    assert.strictEqual(verifyRequestSignature(body, sign(body, 'other'), 'secret').reason, 'invalid');
+    assert.strictEqual(verifyRequestSignature(Buffer.from('{"object":"user"}'), sign(body, 'secret'), 'secret').reason, 'invalid');
+    // Shorter than a SHA-256 digest must not throw in timingSafeEqual
+    assert.strictEqual(verifyRequestSignature(body, 'sha256=abcd', 'secret').reason, 'invalid');
+});
+
+test('splitMessage leaves short messages alone', () => {
+    assert.deepStrictEqual(splitMessage('hello'), ['hello']);
+});
+
+test('splitMessage splits on paragraphs and numbers the parts', () => {
+    const paragraph = 'x'.repeat(900);
+    const parts = splitMessage([paragraph, paragraph, paragraph].join('\n\n'));
+
+    assert.strictEqual(parts.length, 2);
+    parts.forEach(part => assert.ok(part.length <= 2000));
+    assert.ok(parts[0].endsWith('\n\n(1/2)'));
+    assert.ok(parts[1].endsWith('\n\n(2/2)'));
+    assert.ok(parts[1].startsWith(paragraph));
+});
+
+test('splitMessage breaks a single oversized block into parts under the limit', () => {
+    const lines = Array.from({ length: 300 }, (_, i) => `• Item number ${i}`);
+    const parts = splitMessage(lines.join('\n'), 500);
+
+    assert.ok(parts.length > 1);
+    parts.forEach(part => assert.ok(part.length <= 500, `part of ${part.length} characters`));
+    const text = parts.map(part => part.replace(/\n\n\(\d+\/\d+\)$/, '')).join('\n');
+    assert.deepStrictEqual(text.split('\n'), lines);
+});
+
+test('isRecipientUnavailableError ignores permission errors without a user subcode', () => {
+    assert.strictEqual(isRecipientUnavailableError({ code: 551 }), true);
+    assert.strictEqual(isRecipientUnavailableError({ code: 10, subcode: 2018108 }), true);
+    assert.strictEqual(isRecipientUnavailableError({ code: 200, subcode: 1545041 }), true);
+
+    assert.strictEqual(isRecipientUnavailableError({ code: 10 }), false);
+    assert.strictEqual(isRecipientUnavailableError({ code: 10, subcode: 2018278 }), false);
+    assert.strictEqual(isRecipientUnavailableError({ code: 200 }), false);
+});
+
+test('getTimeUntilClockTime counts to the next time the clock shows that time', () => {
+    const time = Date.UTC(2026, 0, 1, 23, 30, 15);
+    const minutes = (ms) => ms / (60 * 1000);
+
+    assert.strictEqual(minutes(getTimeUntilClockTime('07:00', 'UTC', time)), 449.75);
+    // 07:30 in Manila, so 07:00 is nearly a day away
+    assert.strictEqual(minutes(getTimeUntilClockTime('07:00', 'Asia/Manila', time)), 1409.75);
+    assert.strictEqual(getTimeUntilClockTime('23:30', 'UTC', time), 0);
+});
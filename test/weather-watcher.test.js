@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const WeatherWatcher = require('../weather-watcher');
+
+const weather = (id, active, extra = {}) => ({ weather_id: id, active, ...extra });
+
+const watcherWithEvents = () => {
+    const watcher = new WeatherWatcher(null);
+    const announced = [];
+    watcher.onEventStart = (event) => announced.push(`start ${event.id}`);
+    watcher.onEventEnd = (event) => announced.push(`end ${event.id}`);
+    return { watcher, announced };
+};
+
+test('normalizeWeather reads both feed shapes and names events from their id', () => {
+    const entries = [weather('blood_moon', true, { icon: 'moon.png' }), { weather_name: 'Heat Wave', active: false }, {}];
+
+    const events = WeatherWatcher.normalizeWeather({ weather: entries });
+    assert.deepStrictEqual(events.map(event => [event.id, event.name, event.active]), [
+        ['blood_moon', 'Blood Moon', true],
+        ['heat_wave', 'Heat Wave', false]
+    ]);
+    assert.strictEqual(events[0].icon, 'moon.png');
+    assert.deepStrictEqual(WeatherWatcher.normalizeWeather(entries), events);
+    assert.deepStrictEqual(WeatherWatcher.normalizeWeather(null), []);
+});
+
+test('normalizeWeather falls back to the time window when there is no active flag', () => {
+    const now = Date.UTC(2026, 0, 1, 12, 0);
+    const seconds = (minutes) => (now + minutes * 60 * 1000) / 1000;
+    const events = WeatherWatcher.normalizeWeather([
+        { weather_id: 'rain', start_duration_unix: seconds(-5), end_duration_unix: seconds(5) },
+        { weather_id: 'snow', start_duration_unix: seconds(10), end_duration_unix: seconds(20) }
+    ], now);
+
+    assert.deepStrictEqual(events.map(event => event.active), [true, false]);
+    assert.strictEqual(events[1].startsAt.getTime(), now + 10 * 60 * 1000);
+});
+
+test('the first update is a baseline and later ones announce starts and ends', () => {
+    const { watcher, announced } = watcherWithEvents();
+
+    watcher.update({ weather: [weather('rain', true), weather('snow', false)] }, 'api');
+    assert.deepStrictEqual(announced, []);
+    assert.deepStrictEqual(watcher.getActive().map(event => event.id), ['rain']);
+
+    const { started, ended } = watcher.update({ weather: [weather('rain', false), weather('snow', true)] }, 'api');
+    assert.deepStrictEqual(started.map(event => event.id), ['snow']);
+    assert.deepStrictEqual(ended.map(event => event.id), ['rain']);
+    assert.deepStrictEqual(announced, ['start snow', 'end rain']);
+});
+
+test('a message listing only some weather types leaves the others alone', () => {
+    const { watcher, announced } = watcherWithEvents();
+    watcher.update({ weather: [weather('rain', true), weather('snow', false), weather('thunderstorm', false)] }, 'api');
+
+    watcher.update({ weather: [weather('snow', true)] }, 'websocket');
+    assert.deepStrictEqual(announced, ['start snow']);
+    assert.ok(watcher.isActive('rain'));
+
+    // The next full poll agrees, so nothing is announced again
+    watcher.update({ weather: [weather('rain', true), weather('snow', true), weather('thunderstorm', false)] }, 'api');
+    assert.deepStrictEqual(announced, ['start snow']);
+
+    // A WebSocket message listing every type replaces the whole state
+    watcher.update({ weather: [weather('rain', false), weather('snow', true), weather('thunderstorm', false)] }, 'websocket');
+    assert.deepStrictEqual(announced, ['start snow', 'end rain']);
+});
@@ -1,3 +1,5 @@
+const crypto = require('crypto');
+
 // Category names mapping
 const categoryNames = {
     seed_stock: '🌱 Seeds',
@@ -7,15 +9,120 @@ const categoryNames = {
     eventshop_stock: '🎪 Event Shop'
 };
 
+// Embed colours per category, for channels that can show them (Discord)
+const categoryColors = {
+    seed_stock: 0x57f287,
+    gear_stock: 0x95a5a6,
+    egg_stock: 0xfee75c,
+    cosmetic_stock: 0xeb459e,
+    eventshop_stock: 0x9b59b6
+};
+
+// Rarity tiers from lowest to highest, with the badge shown next to item names
+const rarityTiers = {
+    common: { label: 'Common', badge: '⚪' },
+    uncommon: { label: 'Uncommon', badge: '🟢' },
+    rare: { label: 'Rare', badge: '🔵' },
+    legendary: { label: 'Legendary', badge: '🟡' },
+    mythical: { label: 'Mythical', badge: '🟣' },
+    divine: { label: 'Divine', badge: '🟠' },
+    prismatic: { label: 'Prismatic', badge: '🌈' }
+};
+
+// Item metadata (display name, emoji, rarity) comes from the registry once it is loaded
+let itemMetadataLookup = () => null;
+
+const setItemMetadataLookup = (lookup) => {
+    itemMetadataLookup = lookup;
+};
+
+const getItemRarity = (itemId) => {
+    const metadata = itemId ? itemMetadataLookup(itemId) : null;
+    return metadata && rarityTiers[metadata.rarity] ? metadata.rarity : null;
+};
+
 // Format item names for display
 const formatItemName = (itemId) => {
     if (!itemId) return 'Unknown Item';
 
+    const metadata = itemMetadataLookup(itemId) || {};
+
     // Convert snake_case to Title Case
-    return itemId
+    const name = metadata.name || itemId
         .split('_')
         .map(word => word.charAt(0).toUpperCase() + word.slice(1))
         .join(' ');
+
+    const rarity = rarityTiers[metadata.rarity];
+    return [metadata.emoji, name, rarity?.badge].filter(Boolean).join(' ');
+};
+
+// One-line summary of stock items with their quantities, e.g. "Banana x3 • Kiwi x1"
+const formatItemSummary = (items) => {
+    return items
+        .filter(item => item && item.item_id)
+        .map(item => item.quantity != null
+            ? `${formatItemName(item.item_id)} x${item.quantity}`
+            : formatItemName(item.item_id))
+        .join(' • ');
+};
+
+// Compare two item lists by item_id: what appeared, disappeared and changed quantity
+const diffStockItems = (previous, current) => {
+    const before = new Map(previous.filter(item => item && item.item_id).map(item => [item.item_id, item]));
+    const after = new Map(current.filter(item => item && item.item_id).map(item => [item.item_id, item]));
+
+    const added = [...after.values()].filter(item => !before.has(item.item_id));
+    const removed = [...before.values()].filter(item => !after.has(item.item_id));
+    const changed = [...after.values()]
+        .filter(item => before.has(item.item_id) &&
+            (before.get(item.item_id).quantity ?? null) !== (item.quantity ?? null))
+        .map(item => ({
+            item_id: item.item_id,
+            previousQuantity: before.get(item.item_id).quantity ?? null,
+            quantity: item.quantity ?? null
+        }));
+
+    return { added, removed, changed };
+};
+
+// Flatten every *_stock category into { category, item_id, quantity } rows
+const getStockItems = (data) => {
+    const items = [];
+
+    for (const [category, categoryItems] of Object.entries(data || {})) {
+        if (!category.endsWith('_stock') || !Array.isArray(categoryItems)) continue;
+
+        for (const item of categoryItems) {
+            if (!item || !item.item_id) continue;
+            items.push({
+                category,
+                item_id: item.item_id,
+                quantity: item.quantity ?? null
+            });
+        }
+    }
+
+    return items;
+};
+
+// Turn "Bell Pepper", "bell-pepper" or "bell_pepper" into an item id
+const toItemId = (name) => {
+    return (name || '')
+        .trim()
+        .toLowerCase()
+        .replace(/[\s-]+/g, '_')
+        .replace(/[^a-z0-9_]/g, '');
+};
+
+// Alert item id that matches every item in a category
+const WILDCARD_ITEM = '*';
+
+// Alert rule for display, e.g. "Banana (≥5)" or "Any item"
+const formatAlertRule = (rule) => {
+    const name = rule.itemId === WILDCARD_ITEM ? 'Any item' : formatItemName(rule.itemId);
+    const label = rule.minQuantity != null ? `${name} (≥${rule.minQuantity})` : name;
+    return rule.urgent ? `${label} 🚨` : label;
 };
 
 // Rate limiting utilities
@@ -115,23 +222,322 @@ const isRecentlySentMessage = (message, recentlySentMessages) => {
 };
 
 // Time utilities
+const restockIntervals = {
+    seed_stock: 5 * 60 * 1000,
+    gear_stock: 5 * 60 * 1000,
+    egg_stock: 30 * 60 * 1000,
+    eventshop_stock: 30 * 60 * 1000
+};
+
+// Override restock cadences in place so every importer sees the new values
+const configureRestockIntervals = (overrides = {}) => {
+    for (const [category, interval] of Object.entries(overrides)) {
+        if (Number.isFinite(interval) && interval > 0) {
+            restockIntervals[category] = interval;
+        }
+    }
+    return restockIntervals;
+};
+
+// Human readable duration, e.g. "1d 2h", "2h 5m", "4m 30s", "30m"
+const formatDuration = (ms) => {
+    const totalSeconds = Math.max(0, Math.round(ms / 1000));
+    const days = Math.floor(totalSeconds / 86400);
+    const hours = Math.floor((totalSeconds % 86400) / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    if (days) return hours ? `${days}d ${hours}h` : `${days}d`;
+    if (hours) return minutes ? `${hours}h ${minutes}m` : `${hours}h`;
+    if (minutes) return seconds ? `${minutes}m ${seconds}s` : `${minutes}m`;
+    return `${seconds}s`;
+};
+
+// "2h", "1d", "1h30m" -> milliseconds, or null if it isn't a valid duration
+const parseDuration = (text) => {
+    const match = /^(?:(\d+)d)?(?:(\d+)h)?(?:(\d+)m)?$/.exec((text || '').trim().toLowerCase());
+    if (!match) return null;
+
+    const [days, hours, minutes] = match.slice(1).map(value => parseInt(value || '0', 10));
+    const ms = ((days * 24 + hours) * 60 + minutes) * 60 * 1000;
+    return ms > 0 ? ms : null;
+};
+
+// Canonical IANA name for a timezone in any letter case, or null if unknown
+const normalizeTimeZone = (timeZone) => {
+    try {
+        return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Clock time in a timezone, e.g. "6:20 PM"
+const formatTime = (date, timeZone) => {
+    return new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hour: 'numeric',
+        minute: '2-digit'
+    }).format(date);
+};
+
+// Start of the restock cycle a point in time falls into
+const getRestockCycle = (category, time = Date.now()) => {
+    const interval = restockIntervals[category] || restockIntervals.seed_stock;
+    return Math.floor(time / interval) * interval;
+};
+
+// Start of the next restock cycle, always strictly after the given time
+const getNextRestockTime = (category, time = Date.now()) => {
+    const interval = restockIntervals[category] || restockIntervals.seed_stock;
+    return new Date(getRestockCycle(category, time) + interval);
+};
+
+// The earliest upcoming restock across all categories
 const getNextCheckTime = () => {
-    const now = new Date();
-    const phTime = new Date(now.getTime() + (8 * 60 * 60 * 1000));
-    const minutes = phTime.getUTCMinutes();
-    const nextCheck = new Date(phTime);
-    nextCheck.setUTCMinutes(Math.ceil(minutes / 5) * 5);
-    nextCheck.setUTCSeconds(0);
-    nextCheck.setUTCMilliseconds(0);
-    return new Date(nextCheck.getTime() - (8 * 60 * 60 * 1000));
+    const now = Date.now();
+    const next = Math.min(...Object.keys(restockIntervals)
+        .map(category => getNextRestockTime(category, now).getTime()));
+    return new Date(next);
+};
+
+// "23:00" -> minutes after midnight, or null if it isn't a valid 24-hour time
+const parseClockTime = (text) => {
+    const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec((text || '').trim());
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+};
+
+// Minutes after midnight for a point in time in a timezone
+const getMinutesOfDay = (time, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(time);
+
+    const value = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+    return value('hour') * 60 + value('minute');
+};
+
+// Whether a time falls in a daily window such as 23:00-07:00 (which wraps past midnight)
+const isWithinTimeWindow = (start, end, timeZone, time = Date.now()) => {
+    const startMinutes = parseClockTime(start);
+    const endMinutes = parseClockTime(end);
+    if (startMinutes === null || endMinutes === null || startMinutes === endMinutes) return false;
+
+    const minutes = getMinutesOfDay(time, timeZone);
+    return startMinutes < endMinutes
+        ? minutes >= startMinutes && minutes < endMinutes
+        : minutes >= startMinutes || minutes < endMinutes;
+};
+
+// Milliseconds until a clock time ("HH:MM") next comes round in a timezone
+const getTimeUntilClockTime = (clockTime, timeZone, time = Date.now()) => {
+    const minutes = (parseClockTime(clockTime) - getMinutesOfDay(time, timeZone) + 24 * 60) % (24 * 60);
+    return Math.max(minutes * 60 * 1000 - time % (60 * 1000), 0);
+};
+
+// Messenger text length utilities
+const MAX_MESSAGE_LENGTH = 2000;
+const PART_MARKER_RESERVE = 12; // room for "\n\n(99/99)"
+
+// Break a block that is too long on its own into line-sized pieces
+const splitBlock = (block, limit) => {
+    const pieces = [];
+    let current = '';
+
+    for (const line of block.split('\n')) {
+        // A single line longer than the limit has to be cut
+        const lineParts = line.length > limit
+            ? line.match(new RegExp(`[\\s\\S]{1,${limit}}`, 'g'))
+            : [line];
+
+        for (const part of lineParts) {
+            const candidate = current ? `${current}\n${part}` : part;
+            if (candidate.length > limit && current) {
+                pieces.push(current);
+                current = part;
+            } else {
+                current = candidate;
+            }
+        }
+    }
+
+    if (current) pieces.push(current);
+    return pieces;
+};
+
+// Split a message on category (blank line) and line boundaries into Messenger-sized parts
+const splitMessage = (message, maxLength = MAX_MESSAGE_LENGTH) => {
+    if (message.length <= maxLength) return [message];
+
+    const limit = maxLength - PART_MARKER_RESERVE;
+    const chunks = [];
+    let current = '';
+
+    for (const block of message.split('\n\n')) {
+        const blockPieces = block.length > limit ? splitBlock(block, limit) : [block];
+
+        for (const piece of blockPieces) {
+            const candidate = current ? `${current}\n\n${piece}` : piece;
+            if (candidate.length > limit && current) {
+                chunks.push(current);
+                current = piece;
+            } else {
+                current = candidate;
+            }
+        }
+    }
+
+    if (current) chunks.push(current);
+
+    return chunks.map((chunk, index) => `${chunk}\n\n(${index + 1}/${chunks.length})`);
+};
+
+// Shorten text to a length limit, marking the cut
+const truncate = (text, maxLength) => {
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+};
+
+// Messenger quick reply utilities
+const MAX_QUICK_REPLIES = 13;
+const MAX_QUICK_REPLY_TITLE = 20;
+
+const buildQuickReplies = (options) => {
+    return options.slice(0, MAX_QUICK_REPLIES).map(({ title, payload }) => ({
+        content_type: 'text',
+        title: truncate(title, MAX_QUICK_REPLY_TITLE),
+        payload
+    }));
+};
+
+// Messenger template utilities
+const MAX_TEMPLATE_ELEMENTS = 10;
+const MAX_TEMPLATE_TEXT = 80;
+const MAX_TEMPLATE_BUTTONS = 3;
+const MAX_BUTTON_TITLE = 20;
+
+// Generic template with one card per element; buttons are postbacks carrying a command
+const buildGenericTemplate = (elements) => {
+    return {
+        type: 'template',
+        payload: {
+            template_type: 'generic',
+            elements: elements.slice(0, MAX_TEMPLATE_ELEMENTS).map(({ title, subtitle, buttons = [] }) => {
+                const element = { title: truncate(title, MAX_TEMPLATE_TEXT) };
+                if (subtitle) element.subtitle = truncate(subtitle, MAX_TEMPLATE_TEXT);
+                if (buttons.length) {
+                    element.buttons = buttons.slice(0, MAX_TEMPLATE_BUTTONS).map(button => ({
+                        type: 'postback',
+                        title: truncate(button.title, MAX_BUTTON_TITLE),
+                        payload: button.payload
+                    }));
+                }
+                return element;
+            })
+        }
+    };
+};
+
+// Graph API error utilities
+const RATE_LIMIT_ERROR_CODES = new Set([4, 17, 32, 613]);
+const RETRYABLE_ERROR_CODES = new Set([1, 2, 1200, ...RATE_LIMIT_ERROR_CODES]);
+// The recipient blocked the page, deleted their account or can't be messaged any more.
+// Codes 10 and 200 are permission errors (a page token losing a permission, a send
+// outside the messaging window), so only their "user unavailable" subcodes count.
+const RECIPIENT_UNAVAILABLE_ERROR_CODES = new Set([551]);
+const RECIPIENT_UNAVAILABLE_SUBCODES = new Set([1545041, 2018001, 2018108]);
+
+// Graph throttling applies to the whole page. Other channels report HTTP 429 for the one
+// chat or webhook that went over its limit, which isRetryableError covers.
+const isRateLimitError = (error) => RATE_LIMIT_ERROR_CODES.has(error.code);
+
+const isRetryableError = (error) => {
+    if (error.status === 429) return true;
+    if (error.code != null) return RETRYABLE_ERROR_CODES.has(error.code);
+    // No response at all (network failure) or a server-side error
+    return !error.status || error.status >= 500;
+};
+
+// Channel adapters flag their own "blocked / gone" errors with recipientUnavailable
+const isRecipientUnavailableError = (error) => {
+    return RECIPIENT_UNAVAILABLE_ERROR_CODES.has(error.code) ||
+        RECIPIENT_UNAVAILABLE_SUBCODES.has(error.subcode) ||
+        error.recipientUnavailable === true;
+};
+
+// Webhook security utilities
+const verifyRequestSignature = (rawBody, signatureHeader, appSecret) => {
+    if (!signatureHeader) {
+        return { valid: false, reason: 'missing' };
+    }
+
+    const [algorithm, signature] = signatureHeader.split('=');
+    if (algorithm !== 'sha256' || !signature) {
+        return { valid: false, reason: 'malformed' };
+    }
+
+    const expected = crypto
+        .createHmac('sha256', appSecret)
+        .update(rawBody || '')
+        .digest('hex');
+
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    const signatureBuffer = Buffer.from(signature, 'hex');
+
+    // timingSafeEqual throws on length mismatch, so check that first
+    if (expectedBuffer.length !== signatureBuffer.length ||
+        !crypto.timingSafeEqual(expectedBuffer, signatureBuffer)) {
+        return { valid: false, reason: 'invalid' };
+    }
+
+    return { valid: true };
+};
+
+const getAppSecretProof = (accessToken, appSecret) => {
+    return crypto
+        .createHmac('sha256', appSecret)
+        .update(accessToken)
+        .digest('hex');
 };
 
 module.exports = {
     categoryNames,
+    categoryColors,
+    rarityTiers,
+    setItemMetadataLookup,
+    getItemRarity,
     formatItemName,
+    formatItemSummary,
+    WILDCARD_ITEM,
+    formatAlertRule,
+    diffStockItems,
+    getStockItems,
+    toItemId,
     isRateLimited,
     updateRateLimits,
     trackSentMessage,
     isRecentlySentMessage,
-    getNextCheckTime
+    getNextCheckTime,
+    getNextRestockTime,
+    restockIntervals,
+    configureRestockIntervals,
+    getRestockCycle,
+    formatDuration,
+    parseDuration,
+    normalizeTimeZone,
+    formatTime,
+    parseClockTime,
+    isWithinTimeWindow,
+    getTimeUntilClockTime,
+    MAX_MESSAGE_LENGTH,
+    splitMessage,
+    buildQuickReplies,
+    buildGenericTemplate,
+    isRateLimitError,
+    isRetryableError,
+    isRecipientUnavailableError,
+    verifyRequestSignature,
+    getAppSecretProof
 }; 
\ No newline at end of file
@@ -0,0 +1,128 @@
+const { toItemId } = require('./utils');
+
+// "blood_moon" -> "Blood Moon"
+const toTitle = (id) => id.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+
+// Weather entries as { id, name, icon, active, startsAt, endsAt }, from either
+// { weather: [...] } or a bare array of { weather_id, weather_name, active, ... }
+const normalizeWeather = (data, now = Date.now()) => {
+    const list = Array.isArray(data) ? data : Array.isArray(data?.weather) ? data.weather : [];
+
+    return list
+        .filter(entry => entry && (entry.weather_id || entry.weather_name))
+        .map(entry => {
+            const id = entry.weather_id || toItemId(entry.weather_name);
+            const startsAt = entry.start_duration_unix ? new Date(entry.start_duration_unix * 1000) : null;
+            const endsAt = entry.end_duration_unix ? new Date(entry.end_duration_unix * 1000) : null;
+
+            // Trust the feed's flag; fall back to the time window when it's missing
+            const active = typeof entry.active === 'boolean'
+                ? entry.active
+                : !!(startsAt && endsAt && startsAt.getTime() <= now && now < endsAt.getTime());
+
+            return {
+                id,
+                name: entry.weather_name || toTitle(id),
+                icon: entry.icon || null,
+                active,
+                startsAt,
+                endsAt
+            };
+        });
+};
+
+// Tracks active weather from API polls and WebSocket messages and reports
+// when an event starts or ends
+class WeatherWatcher {
+    constructor(apiClient, pollInterval = 60 * 1000) {
+        this.apiClient = apiClient;
+        this.pollInterval = pollInterval;
+        this.events = [];
+        this.active = new Map();
+        this.knownTypes = new Set();
+        this.lastUpdate = null;
+        this.timer = null;
+        this.onEventStart = null;
+        this.onEventEnd = null;
+    }
+
+    static normalizeWeather(data, now) {
+        return normalizeWeather(data, now);
+    }
+
+    start() {
+        this.poll();
+        this.timer = setInterval(() => this.poll(), this.pollInterval);
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async poll() {
+        try {
+            const data = await this.apiClient.getWeather();
+            this.update(data, 'api');
+        } catch (error) {
+            // getWeather already logged it; the next poll tries again
+        }
+    }
+
+    // The first update only sets the baseline, so a restart doesn't announce
+    // events that were already running. API polls and messages listing every
+    // known weather type replace the whole state; a message listing only some
+    // of them just updates those.
+    update(data, source) {
+        const events = normalizeWeather(data);
+        const listed = new Set(events.map(event => event.id));
+        const isSnapshot = source === 'api' || [...this.knownTypes].every(id => listed.has(id));
+        const isBaseline = !this.lastUpdate;
+
+        const active = isSnapshot ? new Map() : new Map(this.active);
+        for (const event of events) {
+            if (event.active) active.set(event.id, event);
+            else active.delete(event.id);
+        }
+
+        const started = isBaseline ? [] : [...active.values()].filter(event => !this.active.has(event.id));
+        const ended = isBaseline ? [] : [...this.active.values()].filter(event => !active.has(event.id));
+
+        events.forEach(event => this.knownTypes.add(event.id));
+        this.events = isSnapshot ? events : [...this.events.filter(event => !listed.has(event.id)), ...events];
+        this.active = active;
+        this.lastUpdate = new Date();
+
+        for (const event of started) {
+            console.log(`🌦️ Weather started: ${event.name} (${source})`);
+            if (this.onEventStart) this.onEventStart(event);
+        }
+        for (const event of ended) {
+            console.log(`🌤️ Weather ended: ${event.name} (${source})`);
+            if (this.onEventEnd) this.onEventEnd(event);
+        }
+
+        return { started, ended };
+    }
+
+    getActive() {
+        return [...this.active.values()];
+    }
+
+    isActive(weatherId) {
+        return this.active.has(weatherId);
+    }
+
+    // Events the feed has announced but that haven't started yet, soonest first
+    getUpcoming(now = Date.now()) {
+        return this.events
+            .filter(event => !event.active && event.startsAt && event.startsAt.getTime() > now)
+            .sort((a, b) => a.startsAt - b.startsAt);
+    }
+
+    getKnownTypes() {
+        return [...this.knownTypes].sort();
+    }
+}
+
+module.exports = WeatherWatcher;
@@ -13,6 +13,8 @@ class WebSocketManager {
         this.reconnectDelay = 5000; // 5 seconds
         this.isConnected = false;
         this.lastStockData = null;
+        this.onSnapshot = null; // Called with every distinct stock snapshot
+        this.onWeatherUpdate = null; // Called with every weather message
     }
 
     connect() {
@@ -65,9 +67,15 @@ class WebSocketManager {
             if (this.hasStockChanged(message)) {
                 console.log('📦 Stock update received via WebSocket');
                 this.lastStockData = message;
+                if (this.onSnapshot) this.onSnapshot(message, 'websocket');
                 if (this.onStockUpdate) this.onStockUpdate(message);
             }
         }
+
+        // Weather can arrive on its own or alongside stock
+        if (Array.isArray(message.weather) && this.onWeatherUpdate) {
+            this.onWeatherUpdate(message);
+        }
     }
 
     hasStockChanged(newData) {